@@ -11,16 +11,19 @@ const { Client, GatewayIntentBits, Events } = require('discord.js');
 const cron = require('node-cron');
 const config = require('./config');
 const logger = require('./utils/logger');
-const { formatJobText } = require('./services/formatter');
+const { formatJobBatch, formatClosedMessage, formatAlertMessage } = require('./services/formatter');
 const dedup = require('./services/dedup');
+const queue = require('./services/queue');
+const router = require('./services/router');
+const listings = require('./services/listings');
+const subscriptions = require('./services/subscriptions');
+const digest = require('./services/digest');
+const { clusterJobs } = require('./services/cluster');
 const scheduler = require('./services/scheduler');
-
-// Import scrapers
-const leverScraper = require('./scrapers/lever');
-const greenhouseScraper = require('./scrapers/greenhouse');
-const wellfoundScraper = require('./scrapers/wellfound');
-const ycScraper = require('./scrapers/ycombinator');
-const linkedinParser = require('./scrapers/linkedin');
+const mailbox = require('./services/mailbox');
+const maildrop = require('./services/maildrop');
+const { registerCommands, handleInteraction } = require('./commands');
+const scrapers = require('./scrapers');
 
 // Create Discord client
 const client = new Client({
@@ -30,142 +33,528 @@ const client = new Client({
   ],
 });
 
-// Store reference to career channel
-let careerChannel = null;
+// Discord channels by ID, fetched on first use
+const channels = new Map();
 
 /**
- * Post a job to Discord
- * @param {Object} job - Job object
+ * Get a Discord channel by ID
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object|null>} Channel or null if not found
+ */
+async function getChannel(channelId) {
+  if (!channels.has(channelId)) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      logger.error(`Could not find channel with ID: ${channelId}`);
+      return null;
+    }
+    channels.set(channelId, channel);
+  }
+  return channels.get(channelId);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a message, retrying with exponential backoff
+ * @param {Object} channel - Discord channel
+ * @param {string|Object} message - Message content or payload
+ * @returns {Promise<Object>} Sent Discord message
  */
-async function postJob(job) {
-  if (!careerChannel) {
-    logger.error('Career channel not found');
+async function sendWithRetry(channel, message) {
+  const { sendRetries, retryDelay } = config.queue;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await channel.send(message);
+    } catch (error) {
+      if (attempt >= sendRetries) {
+        throw error;
+      }
+      const backoff = retryDelay * Math.pow(2, attempt);
+      logger.warn(`Send failed (${error.message}), retrying in ${backoff}ms`);
+      await sleep(backoff);
+    }
+  }
+}
+
+/**
+ * Post a formatted message of one or more jobs to Discord
+ * @param {Object} channel - Discord channel
+ * @param {Object} group - Formatted group from formatJobBatch
+ * @param {Array} group.jobs - Jobs in the message
+ * @param {string|Object} group.message - Message payload
+ * @throws {Error} If the message could not be sent
+ */
+async function postJobGroup(channel, { jobs, message }) {
+  const sent = await sendWithRetry(channel, message);
+  // Text posts have no embeds; grouped embeds are in job order
+  const hasEmbeds = typeof message === 'object' && message.embeds?.length > 0;
+
+  jobs.forEach((job, index) => {
+    dedup.recordPost(job.id, channel.id, sent.id, hasEmbeds ? index : null);
+    logger.info(`Posted job: ${job.title} at ${job.company} to #${channel.name}`);
+  });
+}
+
+// Guards against overlapping drains (job check + email check)
+let draining = false;
+
+// Sources being checked, so a source never runs in two checks at once
+const checkingSources = new Set();
+
+// Scheduler tasks that check sources (jobCheck and per-source tasks)
+let checkTasks = [];
+
+// When each source's last successful check started (scraper name -> ISO time)
+const lastChecked = new Map();
+
+/**
+ * Get when the last full check cycle started: the oldest of every enabled
+ * source's last successful check
+ * @returns {string|null} ISO time, or null until every source was checked
+ */
+function getLastFullCycle() {
+  const times = scrapers.getEnabled().map(({ name }) => lastChecked.get(name));
+  if (times.length === 0 || times.some(time => !time)) {
+    return null;
+  }
+  return times.sort()[0];
+}
+
+/**
+ * Post queued jobs with rate limiting.
+ * Jobs are marked as seen only once Discord confirms the send.
+ */
+async function drainQueue() {
+  if (draining) {
     return;
   }
 
+  draining = true;
   try {
-    const message = formatJobText(job);
-    await careerChannel.send(message);
-    logger.info(`Posted job: ${job.title} at ${job.company}`);
-  } catch (error) {
-    logger.error('Failed to post job:', error.message);
+    const { maxBatchSize, postDelay } = config.formatting;
+    const batch = queue.getDue(maxBatchSize);
+
+    // Group pending posts by target channel
+    const jobsByChannel = new Map();
+    batch.forEach(entry => {
+      entry.channels.forEach(channelId => {
+        if (!jobsByChannel.has(channelId)) {
+          jobsByChannel.set(channelId, []);
+        }
+        jobsByChannel.get(channelId).push(entry.job);
+      });
+    });
+
+    // Record each failed job once, even if several channels failed
+    const failures = new Map();
+
+    for (const [channelId, jobs] of jobsByChannel) {
+      const channel = await getChannel(channelId);
+      if (!channel) {
+        jobs.forEach(job => failures.set(job.id, new Error(`Channel ${channelId} not found`)));
+        continue;
+      }
+
+      for (const group of formatJobBatch(jobs)) {
+        try {
+          await postJobGroup(channel, group);
+          group.jobs.forEach(job => {
+            if (queue.markPosted(job.id, channelId)) {
+              markClusterSeen(job, job.id);
+            }
+          });
+        } catch (error) {
+          logger.error(`Failed to post jobs to #${channel.name}:`, error.message);
+          group.jobs.forEach(job => failures.set(job.id, error));
+        }
+        // Delay between posts to avoid rate limits
+        await sleep(postDelay);
+      }
+    }
+
+    failures.forEach((error, jobId) => {
+      // A job dropped after reaching some channels must not be posted again
+      const dropped = queue.recordFailure(jobId, error);
+      if (dropped?.posted?.length) {
+        markClusterSeen(dropped.job, dropped.id);
+      }
+    });
+
+    if (queue.size() > 0) {
+      logger.info(`${queue.size()} more jobs queued for next batch`);
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Mark a job and its duplicates from other sources as seen in one cluster
+ * @param {Object} job - Canonical job object
+ * @param {string} clusterId - Cluster the postings belong to
+ */
+function markClusterSeen(job, clusterId) {
+  [job, ...(job.duplicates || [])].forEach(posting => {
+    dedup.markJobSeen(posting.id, { ...posting, clusterId });
+  });
+}
+
+/**
+ * Edit the Discord messages of a job that is no longer listed
+ * @param {Object} job - Closed job from dedup.updateBoards
+ */
+async function markJobClosed(job) {
+  const clusterId = job.clusterId || job.id;
+
+  // Only once the role is gone from every board it was tracked on
+  if (!dedup.getClosedCluster(clusterId)) {
+    return;
+  }
+
+  for (const post of dedup.getPosts(clusterId)) {
+    try {
+      const channel = await getChannel(post.channelId);
+      const message = await channel?.messages.fetch(post.messageId);
+      if (!message) {
+        continue;
+      }
+      await message.edit(formatClosedMessage(message, post.embedIndex));
+      logger.info(`Marked job closed: ${job.title} at ${job.company} in #${channel.name}`);
+    } catch (error) {
+      logger.warn(`Could not mark job ${clusterId} closed:`, error.message);
+    }
   }
 }
 
 /**
- * Post multiple jobs with rate limiting
+ * Close tracked jobs missing from their boards for too many cycles
+ */
+async function updateClosedJobs() {
+  const { missedCycles, editMessages } = config.closedJobs;
+  const closed = dedup.updateBoards(listings.takeBoards(), missedCycles);
+
+  if (editMessages) {
+    for (const job of closed) {
+      await markJobClosed(job);
+    }
+  }
+}
+
+/**
+ * Tag a closed job that is listed again
+ * @param {Object} job - Job object
+ * @param {Object} previous - { firstSeen, closedAt } of the closed posting
+ * @param {string} clusterId - Cluster of the closed posting
+ * @returns {boolean} True if the repost should be posted
+ */
+function handleRepost(job, previous, clusterId) {
+  job.reposted = { firstSeen: previous.firstSeen, closedAt: previous.closedAt };
+
+  if (config.retention.reposts === 'post') {
+    logger.info(`Reposted job: ${job.title} at ${job.company}`);
+    return true;
+  }
+
+  // Reopen without posting
+  markClusterSeen(job, clusterId);
+  return false;
+}
+
+/**
+ * Queue new jobs for their routed channels and post the next batch.
+ * Postings of the same role from several sources are posted once.
  * @param {Array} jobs - Array of job objects
  */
 async function postJobs(jobs) {
-  const { maxBatchSize, postDelay } = config.formatting;
-  const batch = jobs.slice(0, maxBatchSize);
+  const toQueue = [];
+
+  for (const job of clusterJobs(jobs)) {
+    // Already posted from another source
+    const clusterId = dedup.findDuplicate(job);
+    const closed = clusterId && dedup.getClosedCluster(clusterId);
+    if (closed) {
+      // Same role relisted under a new ID
+      if (handleRepost(job, closed, clusterId)) {
+        toQueue.push(job);
+      }
+      continue;
+    }
+    if (clusterId) {
+      logger.info(`Skipping ${job.id}: same job as ${clusterId}`);
+      markClusterSeen(job, clusterId);
+      continue;
+    }
 
-  for (const job of batch) {
-    await postJob(job);
-    // Delay between posts to avoid rate limits
-    await new Promise(resolve => setTimeout(resolve, postDelay));
+    // Waiting to be posted from another source
+    if (queue.addDuplicate(job)) {
+      continue;
+    }
+
+    toQueue.push(job);
   }
 
-  if (jobs.length > maxBatchSize) {
-    logger.info(`${jobs.length - maxBatchSize} more jobs queued for next batch`);
+  queue.enqueue(toQueue.map(job => ({ job, channels: router.route(job) })));
+  try {
+    subscriptions.recordMatches(toQueue);
+  } catch (error) {
+    // Alerts are extra; posting goes ahead without them
+    logger.error('Could not record alert matches:', error.message);
   }
+  await drainQueue();
+}
+
+/**
+ * DM members the jobs matching their /alerts subscriptions
+ */
+async function sendAlerts() {
+  for (const { userId, matches } of subscriptions.getDueAlerts()) {
+    const { frequency } = subscriptions.getSettings(userId);
+    try {
+      const user = await client.users.fetch(userId);
+      await sendWithRetry(user, formatAlertMessage(matches, frequency));
+      logger.info(`Sent ${matches.length} alert matches to ${user.tag}`);
+    } catch (error) {
+      // Usually DMs closed; drop the matches rather than retrying forever
+      logger.warn(`Could not DM alerts to user ${userId}:`, error.message);
+    }
+    subscriptions.markSent(userId, matches.map(({ job }) => job.id));
+  }
+}
+
+/**
+ * Filter out jobs that were already posted or are waiting to be.
+ * Closed jobs that are listed again count as new (reposts).
+ * @param {Array} jobs - Array of job objects
+ * @returns {Array} New jobs
+ */
+function getNewJobs(jobs) {
+  return jobs.filter(job => {
+    if (queue.has(job.id)) {
+      return false;
+    }
+
+    const previous = dedup.getJob(job.id);
+    if (!previous) {
+      return true;
+    }
+    return previous.status === 'closed' && handleRepost(job, previous, previous.clusterId || previous.id);
+  });
 }
 
 /**
- * Run all scrapers and post new jobs
+ * Run scrapers and post new jobs (the caller holds their locks)
+ * @param {Array} selected - Scraper descriptors
  */
-async function checkForNewJobs() {
-  logger.info('Checking for new jobs...');
+async function checkSources(selected) {
+  logger.info(`Checking for new jobs (${selected.map(scraper => scraper.displayName).join(', ')})...`);
 
   const allJobs = [];
+  const started = new Date().toISOString();
 
-  // Run all scrapers in parallel
+  // Run the scrapers in parallel
   try {
-    const results = await Promise.allSettled([
-      leverScraper.scrape(),
-      greenhouseScraper.scrape(),
-      wellfoundScraper.scrape(),
-      ycScraper.scrape(),
-    ]);
+    const results = await Promise.allSettled(selected.map(scraper => scraper.scrape()));
 
     results.forEach((result, index) => {
-      const scraperNames = ['Lever', 'Greenhouse', 'Wellfound', 'Y Combinator'];
+      const { name, displayName } = selected[index];
       if (result.status === 'fulfilled') {
-        logger.info(`${scraperNames[index]}: Found ${result.value.length} jobs`);
+        lastChecked.set(name, started);
+        logger.info(`${displayName}: Found ${result.value.length} jobs`);
         allJobs.push(...result.value);
       } else {
-        logger.error(`${scraperNames[index]} scraper failed:`, result.reason?.message);
+        logger.error(`${displayName} scraper failed:`, result.reason?.message);
       }
     });
   } catch (error) {
     logger.error('Error running scrapers:', error.message);
   }
 
+  // Refresh listed jobs, close ones taken down and apply retention
+  try {
+    dedup.touchJobs(allJobs.map(job => job.id));
+    await updateClosedJobs();
+
+    // Only once every source has refreshed its jobs (e.g. not right after downtime)
+    const cycleStart = getLastFullCycle();
+    if (cycleStart) {
+      dedup.cleanOldEntries(cycleStart);
+    }
+  } catch (error) {
+    logger.error('Error updating tracked jobs:', error.message);
+  }
+
   // Filter out duplicates
-  const newJobs = allJobs.filter(job => !dedup.hasSeenJob(job.id));
+  const newJobs = getNewJobs(allJobs);
 
   if (newJobs.length > 0) {
     logger.info(`Found ${newJobs.length} new jobs to post`);
-    
-    // Mark jobs as seen
-    newJobs.forEach(job => dedup.markJobSeen(job.id, job));
-    
-    // Post to Discord
-    await postJobs(newJobs);
   } else {
     logger.info('No new jobs found');
   }
+
+  // Queue and post to Discord (also drains jobs left from earlier cycles)
+  await postJobs(newJobs);
+
+  // DM members their alert matches
+  try {
+    await sendAlerts();
+  } catch (error) {
+    logger.error('Error sending alerts:', error.message);
+  }
 }
 
 /**
- * Check LinkedIn emails for job alerts
+ * Run scrapers and post new jobs.
+ * Sources already being checked (by another task) are skipped.
+ * @param {Array} [sources] - Scraper names to run (default every enabled scraper)
  */
-async function checkLinkedInEmails() {
-  logger.info('Checking LinkedIn emails...');
+async function checkForNewJobs(sources = scrapers.getEnabled().map(scraper => scraper.name)) {
+  const busy = sources.filter(source => checkingSources.has(source));
+  if (busy.length > 0) {
+    logger.warn(`Skipping sources already being checked: ${busy.join(', ')}`);
+  }
 
+  const selected = sources
+    .filter(source => !checkingSources.has(source))
+    .map(source => scrapers.get(source))
+    .filter(Boolean);
+  if (selected.length === 0) {
+    return;
+  }
+
+  selected.forEach(scraper => checkingSources.add(scraper.name));
   try {
-    const jobs = await linkedinParser.parse();
-    const newJobs = jobs.filter(job => !dedup.hasSeenJob(job.id));
+    await checkSources(selected);
+  } finally {
+    selected.forEach(scraper => checkingSources.delete(scraper.name));
+  }
+}
+
+/**
+ * Check every source through the task that schedules it, one task at a
+ * time, so manual and startup checks share the scheduled runs' locks
+ * @returns {Promise<boolean>} False if every task was already running
+ * @throws {Error} If a task failed (the others still run)
+ */
+async function checkAllSources() {
+  let ran = false;
+  let failure = null;
 
-    if (newJobs.length > 0) {
-      logger.info(`Found ${newJobs.length} new LinkedIn jobs`);
-      newJobs.forEach(job => dedup.markJobSeen(job.id, job));
-      await postJobs(newJobs);
+  for (const name of checkTasks) {
+    try {
+      ran = (await scheduler.trigger(name)) || ran;
+    } catch (error) {
+      failure = failure || error;
     }
-  } catch (error) {
-    logger.error('Error checking LinkedIn emails:', error.message);
   }
+
+  if (failure) {
+    throw failure;
+  }
+  return ran;
+}
+
+/**
+ * Post a digest of recently found jobs
+ */
+async function postDigest() {
+  const message = digest.buildDigest();
+  if (!message) {
+    logger.info('Digest: No new jobs, skipping');
+    return;
+  }
+
+  const channel = await getChannel(config.digest.channelId);
+  if (!channel) {
+    throw new Error(`Digest channel ${config.digest.channelId} not found`);
+  }
+
+  await sendWithRetry(channel, message);
+  logger.info(`Digest: Posted to #${channel.name}`);
 }
 
 // Bot ready event
 client.once(Events.ClientReady, async (c) => {
   logger.info(`Bot logged in as ${c.user.tag}`);
 
-  // Get career channel
-  const channelId = process.env.DISCORD_CHANNEL_ID;
-  if (channelId) {
-    careerChannel = await client.channels.fetch(channelId);
-    if (careerChannel) {
-      logger.info(`Connected to channel: #${careerChannel.name}`);
-    } else {
-      logger.error(`Could not find channel with ID: ${channelId}`);
-    }
-  } else {
+  // Get routed channels
+  if (!process.env.DISCORD_CHANNEL_ID) {
     logger.error('DISCORD_CHANNEL_ID not set in environment');
   }
+  for (const channelId of router.getChannelIds()) {
+    const channel = await getChannel(channelId);
+    if (channel) {
+      logger.info(`Connected to channel: #${channel.name}`);
+    }
+  }
 
-  // Initialize database
+  // Initialize database and pending post queue
   dedup.init();
+  queue.init();
 
-  // Schedule job checks
-  scheduler.start({
-    jobCheck: checkForNewJobs,
-    emailCheck: checkLinkedInEmails,
+  // Read alert emails as they arrive (IMAP IDLE, or files dropped in import mode),
+  // as well as on schedule
+  const importMail = config.email.mode === 'import';
+  const watchMail = scrapers.isEnabled('email') && (importMail || (config.email.idle && mailbox.isConfigured()));
+
+  // Scrapers with their own schedule (config or default) run separately;
+  // jobCheck runs the rest
+  const schedules = { ...config.schedule };
+  const jobCheckSources = [];
+  const tasks = {
+    jobCheck: () => checkForNewJobs(jobCheckSources),
+    digest: postDigest,
+  };
+
+  scrapers.getEnabled().forEach(({ name, defaultSchedule }) => {
+    if (schedules[name] === undefined) {
+      schedules[name] = defaultSchedule;
+    }
+    // A watched mailbox is checked by its own task, on jobCheck's schedule
+    if (name === 'email' && watchMail && !schedules[name]) {
+      schedules[name] = schedules.jobCheck;
+    }
+    if (schedules[name]) {
+      tasks[name] = () => checkForNewJobs([name]);
+    } else {
+      jobCheckSources.push(name);
+    }
   });
+  if (watchMail && !tasks.email) {
+    tasks.email = () => checkForNewJobs(['email']);
+  }
+  checkTasks = Object.keys(tasks).filter(name => name !== 'digest');
+
+  // Schedule job checks
+  scheduler.start(tasks, schedules);
+
+  if (watchMail) {
+    (importMail ? maildrop : mailbox).watch(() => scheduler.trigger('email'));
+  }
+
+  // Register slash commands
+  await registerCommands(client);
 
-  // Run initial check
+  // Run initial check of every source
   logger.info('Running initial job check...');
-  await checkForNewJobs();
+  try {
+    await checkAllSources();
+  } catch (error) {
+    logger.error('Initial job check failed:', error.message);
+  }
+});
+
+// Slash commands
+client.on(Events.InteractionCreate, async (interaction) => {
+  await handleInteraction(interaction, { checkAllSources });
 });
 
 // Error handling
@@ -177,6 +566,28 @@ process.on('unhandledRejection', (error) => {
   logger.error('Unhandled rejection:', error.message);
 });
 
+/**
+ * Stop scheduled tasks, close connections and exit
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down...`);
+
+  scheduler.stop();
+  try {
+    await (config.email.mode === 'import' ? maildrop : mailbox).close();
+    await client.destroy();
+  } catch (error) {
+    logger.error('Error during shutdown:', error.message);
+  }
+  dedup.close();
+
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start bot
 const token = process.env.DISCORD_BOT_TOKEN;
 if (!token) {
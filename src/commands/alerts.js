@@ -0,0 +1,267 @@
+/**
+ * /alerts Slash Command
+ *
+ * Lets members save their own job filters and get matches by DM
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, MessageFlags } = require('discord.js');
+const subscriptions = require('../services/subscriptions');
+const { formatCompensation } = require('../utils/compensation');
+
+const CURRENCIES = ['USD', 'CAD', 'GBP', 'EUR', 'AUD'];
+
+const data = new SlashCommandBuilder()
+  .setName('alerts')
+  .setDescription('Get new jobs matching your own filters by DM')
+  .addSubcommand(sub => sub
+    .setName('add')
+    .setDescription('Save an alert (replaces one with the same name)')
+    .addStringOption(opt => opt
+      .setName('name')
+      .setDescription('Name for this alert')
+      .setRequired(true)
+      .setMaxLength(50))
+    .addStringOption(opt => opt
+      .setName('keywords')
+      .setDescription('Title keywords or globs, comma separated (e.g. "solutions engineer, sales eng*")')
+      .setRequired(true))
+    .addStringOption(opt => opt
+      .setName('companies')
+      .setDescription('Only these companies, comma separated'))
+    .addStringOption(opt => opt
+      .setName('locations')
+      .setDescription('Countries, cities or remote, comma separated (e.g. "Canada, remote US")'))
+    .addIntegerOption(opt => opt
+      .setName('min_salary')
+      .setDescription('Minimum yearly pay (jobs without pay info still match)')
+      .setMinValue(1))
+    .addStringOption(opt => opt
+      .setName('currency')
+      .setDescription('Currency of the minimum (default USD)')
+      .addChoices(...CURRENCIES.map(code => ({ name: code, value: code }))))
+    .addStringOption(opt => opt
+      .setName('sources')
+      .setDescription('Only these sources, comma separated (e.g. "Greenhouse, Lever")')))
+  .addSubcommand(sub => sub
+    .setName('remove')
+    .setDescription('Delete an alert')
+    .addStringOption(opt => opt
+      .setName('name')
+      .setDescription('Alert name')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('Show your alerts and delivery settings'))
+  .addSubcommand(sub => sub
+    .setName('mute')
+    .setDescription('Stop all alerts until you unmute (matches are not saved)'))
+  .addSubcommand(sub => sub
+    .setName('unmute')
+    .setDescription('Turn alerts back on'))
+  .addSubcommand(sub => sub
+    .setName('pause')
+    .setDescription('Hold alerts for a while and get them afterwards')
+    .addIntegerOption(opt => opt
+      .setName('days')
+      .setDescription('Days to pause for')
+      .setRequired(true)
+      .setMinValue(1)
+      .setMaxValue(90)))
+  .addSubcommand(sub => sub
+    .setName('resume')
+    .setDescription('End a pause now'))
+  .addSubcommand(sub => sub
+    .setName('frequency')
+    .setDescription('How often to send alerts')
+    .addStringOption(opt => opt
+      .setName('value')
+      .setDescription('Delivery frequency')
+      .setRequired(true)
+      .addChoices(
+        { name: 'After each check', value: 'instant' },
+        { name: 'Daily digest', value: 'daily' },
+        { name: 'Weekly digest', value: 'weekly' },
+      )));
+
+/**
+ * Split a comma separated option into a list
+ * @param {string|null} text - Option value
+ * @returns {Array} Trimmed entries
+ */
+function parseList(text) {
+  return (text || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Reply to the user only
+ * @param {Object} interaction - Chat input interaction
+ * @param {string|Object} reply - Reply content or payload
+ */
+async function replyPrivately(interaction, reply) {
+  const payload = typeof reply === 'string' ? { content: reply } : reply;
+  await interaction.reply({ ...payload, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Describe a subscription in one line
+ * @param {Object} sub - Subscription
+ * @returns {string} Description
+ */
+function describeSubscription(sub) {
+  const parts = [`keywords: ${sub.keywords.join(', ')}`];
+  if (sub.companies.length > 0) {
+    parts.push(`companies: ${sub.companies.join(', ')}`);
+  }
+  if (sub.locations.length > 0) {
+    parts.push(`locations: ${sub.locations.join(', ')}`);
+  }
+  if (sub.sources.length > 0) {
+    parts.push(`sources: ${sub.sources.join(', ')}`);
+  }
+  if (sub.minSalary) {
+    parts.push(`min: ${formatCompensation({ min: sub.minSalary, max: sub.minSalary, currency: sub.currency, period: 'year' })}`);
+  }
+  return `**${sub.name}** - ${parts.join('; ')}`;
+}
+
+/**
+ * /alerts add
+ * @param {Object} interaction - Chat input interaction
+ */
+async function add(interaction) {
+  const subscription = {
+    name: interaction.options.getString('name', true).trim(),
+    keywords: parseList(interaction.options.getString('keywords', true)),
+    companies: parseList(interaction.options.getString('companies')),
+    locations: parseList(interaction.options.getString('locations')),
+    sources: parseList(interaction.options.getString('sources')),
+    minSalary: interaction.options.getInteger('min_salary'),
+    currency: interaction.options.getString('currency') || 'USD',
+  };
+
+  if (subscription.keywords.length === 0) {
+    await replyPrivately(interaction, 'Give at least one keyword.');
+    return;
+  }
+
+  try {
+    subscriptions.addSubscription(interaction.user.id, subscription);
+  } catch (error) {
+    await replyPrivately(interaction, error.message);
+    return;
+  }
+
+  const { muted } = subscriptions.getSettings(interaction.user.id);
+  const note = muted ? '\nAlerts are muted; use `/alerts unmute` to get them.' : '';
+  await replyPrivately(interaction, `Saved alert ${describeSubscription(subscription)}${note}`);
+}
+
+/**
+ * /alerts remove
+ * @param {Object} interaction - Chat input interaction
+ */
+async function remove(interaction) {
+  const name = interaction.options.getString('name', true).trim();
+  const removed = subscriptions.removeSubscription(interaction.user.id, name);
+  await replyPrivately(interaction, removed ? `Removed alert **${name}**.` : `You have no alert named **${name}**.`);
+}
+
+/**
+ * /alerts list
+ * @param {Object} interaction - Chat input interaction
+ */
+async function list(interaction) {
+  const subs = subscriptions.listSubscriptions(interaction.user.id);
+  const settings = subscriptions.getSettings(interaction.user.id);
+
+  let delivery = settings.frequency === 'instant' ? 'after each check' : `${settings.frequency} digest`;
+  if (settings.muted) {
+    delivery = 'muted';
+  } else if (settings.pausedUntil && new Date(settings.pausedUntil) > new Date()) {
+    delivery += `, paused until <t:${Math.floor(new Date(settings.pausedUntil) / 1000)}:f>`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('Your job alerts')
+    .setDescription(subs.map(describeSubscription).join('\n') || 'No alerts yet. Add one with `/alerts add`.')
+    .setColor(0x5865F2)
+    .setFooter({ text: `Delivery: ${delivery}` });
+
+  await replyPrivately(interaction, { embeds: [embed] });
+}
+
+/**
+ * /alerts mute
+ * @param {Object} interaction - Chat input interaction
+ */
+async function mute(interaction) {
+  subscriptions.updateSettings(interaction.user.id, { muted: true });
+  await replyPrivately(interaction, 'Alerts muted. Use `/alerts unmute` to turn them back on.');
+}
+
+/**
+ * /alerts unmute
+ * @param {Object} interaction - Chat input interaction
+ */
+async function unmute(interaction) {
+  subscriptions.updateSettings(interaction.user.id, { muted: false });
+  await replyPrivately(interaction, 'Alerts unmuted.');
+}
+
+/**
+ * /alerts pause
+ * @param {Object} interaction - Chat input interaction
+ */
+async function pause(interaction) {
+  const days = interaction.options.getInteger('days', true);
+  const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  subscriptions.updateSettings(interaction.user.id, { pausedUntil: until.toISOString() });
+  await replyPrivately(interaction, `Alerts paused until <t:${Math.floor(until / 1000)}:f>. Matches found meanwhile are sent afterwards.`);
+}
+
+/**
+ * /alerts resume
+ * @param {Object} interaction - Chat input interaction
+ */
+async function resume(interaction) {
+  subscriptions.updateSettings(interaction.user.id, { pausedUntil: null });
+  await replyPrivately(interaction, 'Alerts resumed.');
+}
+
+/**
+ * /alerts frequency
+ * @param {Object} interaction - Chat input interaction
+ */
+async function frequency(interaction) {
+  const value = interaction.options.getString('value', true);
+  subscriptions.updateSettings(interaction.user.id, { frequency: value });
+  await replyPrivately(interaction, value === 'instant'
+    ? 'You will get alerts after each job check.'
+    : `You will get a ${value} digest of your alerts.`);
+}
+
+const subcommands = {
+  add,
+  remove,
+  list,
+  mute,
+  unmute,
+  pause,
+  resume,
+  frequency,
+};
+
+/**
+ * Run an /alerts subcommand
+ * @param {Object} interaction - Chat input interaction
+ */
+async function execute(interaction) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  await handler(interaction);
+}
+
+module.exports = {
+  data,
+  execute,
+};
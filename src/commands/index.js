@@ -0,0 +1,96 @@
+/**
+ * Slash Command Registry
+ *
+ * Registers slash commands with Discord and routes interactions to them
+ */
+
+const { MessageFlags, PermissionFlagsBits } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const commands = [
+  require('./jobs'),
+  require('./alerts'),
+];
+
+/**
+ * Register slash commands with Discord.
+ * Uses the guild in DISCORD_GUILD_ID if set (updates instantly),
+ * otherwise registers globally (can take up to an hour to appear).
+ * @param {Client} client - Ready Discord client
+ */
+async function registerCommands(client) {
+  const definitions = commands.map(command => command.data.toJSON());
+  const guildId = process.env.DISCORD_GUILD_ID;
+
+  try {
+    await client.application.commands.set(definitions, guildId);
+    logger.info(`Commands: Registered ${definitions.length} commands${guildId ? ` in guild ${guildId}` : ' globally'}`);
+  } catch (error) {
+    logger.error('Commands: Failed to register:', error.message);
+  }
+}
+
+/**
+ * Check if the member running a command may use admin commands.
+ * Requires DISCORD_ADMIN_ROLE_ID if set, otherwise Manage Server permission.
+ * @param {Object} interaction - Chat input interaction
+ * @returns {boolean} True if allowed
+ */
+function isAdmin(interaction) {
+  const roleId = process.env.DISCORD_ADMIN_ROLE_ID;
+
+  if (roleId) {
+    const roles = interaction.member?.roles;
+    // API members (uncached guilds) expose roles as an array of IDs
+    return Array.isArray(roles) ? roles.includes(roleId) : !!roles?.cache.has(roleId);
+  }
+
+  return !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
+}
+
+/**
+ * Handle an incoming interaction
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} context - Bot handlers passed to commands
+ */
+async function handleInteraction(interaction, context) {
+  if (!interaction.isChatInputCommand()) {
+    return;
+  }
+
+  const command = commands.find(c => c.data.name === interaction.commandName);
+  if (!command) {
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand(false);
+  const fullName = subcommand ? `${interaction.commandName} ${subcommand}` : interaction.commandName;
+
+  if (config.commands.adminOnly.includes(fullName) && !isAdmin(interaction)) {
+    await interaction.reply({
+      content: `You need the admin role to use \`/${fullName}\`.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  logger.info(`Commands: /${fullName} used by ${interaction.user.tag}`);
+
+  try {
+    await command.execute(interaction, context);
+  } catch (error) {
+    logger.error(`Commands: /${fullName} failed:`, error.message);
+    const reply = { content: 'Something went wrong running that command.', flags: MessageFlags.Ephemeral };
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  registerCommands,
+  handleInteraction,
+};
@@ -0,0 +1,169 @@
+/**
+ * /jobs Slash Command
+ *
+ * Search and manage tracked jobs from Discord
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const config = require('../config');
+const dedup = require('../services/dedup');
+const scheduler = require('../services/scheduler');
+const scrapers = require('../scrapers');
+
+// Sources offered as choices for /jobs search (Discord allows up to 25)
+const SOURCES = scrapers.getSources().map(source => source.name).slice(0, 25);
+
+const data = new SlashCommandBuilder()
+  .setName('jobs')
+  .setDescription('Search and manage tracked jobs')
+  .addSubcommand(sub => sub
+    .setName('search')
+    .setDescription('Search tracked jobs by title')
+    .addStringOption(opt => opt
+      .setName('keyword')
+      .setDescription('Text to find in the job title')
+      .setRequired(true))
+    .addStringOption(opt => opt
+      .setName('company')
+      .setDescription('Only jobs at this company'))
+    .addStringOption(opt => opt
+      .setName('source')
+      .setDescription('Only jobs from this source')
+      .addChoices(...SOURCES.map(source => ({ name: source, value: source })))))
+  .addSubcommand(sub => sub
+    .setName('stats')
+    .setDescription('Show tracked job counts by source'))
+  .addSubcommand(sub => sub
+    .setName('check')
+    .setDescription('Check all job boards for new jobs now'))
+  .addSubcommand(sub => sub
+    .setName('status')
+    .setDescription('Show scheduled task status'));
+
+/**
+ * /jobs search
+ * @param {Object} interaction - Chat input interaction
+ */
+async function search(interaction) {
+  const keyword = interaction.options.getString('keyword', true);
+  const company = interaction.options.getString('company');
+  const source = interaction.options.getString('source');
+  const limit = config.commands.searchLimit;
+
+  const jobs = dedup.searchJobs({ keyword, company, source, limit });
+
+  if (jobs.length === 0) {
+    await interaction.reply({ content: `No tracked jobs match "${keyword}".` });
+    return;
+  }
+
+  const lines = jobs.map(job =>
+    `**[${job.title}](${job.url})** at ${job.company || '?'} (${job.source || '?'})`
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Jobs matching "${keyword}"`)
+    .setDescription(lines.join('\n'))
+    .setColor(0x5865F2)
+    .setFooter({ text: `Showing up to ${limit} most recent matches` });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * /jobs stats
+ * @param {Object} interaction - Chat input interaction
+ */
+async function stats(interaction) {
+  const { total, bySource } = dedup.getStats();
+
+  const lines = Object.entries(bySource)
+    .sort(([, a], [, b]) => b - a)
+    .map(([source, count]) => `**${source}:** ${count}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle('Tracked Jobs')
+    .setDescription(lines.join('\n') || 'No jobs tracked yet')
+    .setColor(0x5865F2)
+    .setFooter({ text: `${total} jobs total` });
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+/**
+ * /jobs check
+ * @param {Object} interaction - Chat input interaction
+ * @param {Object} context - Bot handlers
+ * @param {Function} context.checkAllSources - Runs every source's check task
+ */
+async function check(interaction, { checkAllSources }) {
+  // Scraping takes longer than the 3s reply window
+  await interaction.deferReply();
+
+  try {
+    // Every source, sharing the scheduled tasks' locks
+    const ran = await checkAllSources();
+    await interaction.editReply(ran ? 'Job check finished.' : 'A job check is already running.');
+  } catch (error) {
+    await interaction.editReply(`Job check failed: ${error.message}`);
+  }
+}
+
+/**
+ * Format a time as a Discord relative timestamp
+ * @param {string} iso - ISO timestamp
+ * @returns {string} e.g. "<t:1700000000:R>" (shown as "in 20 minutes")
+ */
+function relativeTime(iso) {
+  return `<t:${Math.floor(new Date(iso) / 1000)}:R>`;
+}
+
+/**
+ * /jobs status
+ * @param {Object} interaction - Chat input interaction
+ */
+async function status(interaction) {
+  const taskStatus = scheduler.getStatus();
+
+  const lines = Object.entries(taskStatus).map(([name, task]) => {
+    const parts = [task.schedule ? scheduler.describeCron(task.schedule) : 'not scheduled'];
+    if (task.running) {
+      parts.push('running now');
+    } else if (task.nextRun) {
+      parts.push(`next ${relativeTime(task.nextRun)}`);
+    }
+    if (task.lastResult) {
+      parts.push(`last ${relativeTime(task.lastRun)} (${(task.lastDuration / 1000).toFixed(1)}s, ${task.lastResult})`);
+    }
+    return `**${name}:** ${parts.join(' · ')}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('Scheduler Status')
+    .setDescription(lines.join('\n'))
+    .setColor(0x5865F2);
+
+  await interaction.reply({ embeds: [embed] });
+}
+
+const subcommands = {
+  search,
+  stats,
+  check,
+  status,
+};
+
+/**
+ * Run a /jobs subcommand
+ * @param {Object} interaction - Chat input interaction
+ * @param {Object} context - Bot handlers
+ */
+async function execute(interaction, context) {
+  const handler = subcommands[interaction.options.getSubcommand()];
+  await handler(interaction, context);
+}
+
+module.exports = {
+  data,
+  execute,
+};
@@ -13,123 +13,388 @@ module.exports = {
   // Use the exact slug from the company's career page URL
   companies: {
     // Lever: jobs.lever.co/[company]
-    lever: [
-      // Enterprise / Late Stage
-      'spotify',
-      'palantir',
-      // Sales Tech
-      'clari',
-      'outreach',
-      'highspot',
-    ],
-    // Greenhouse: boards.greenhouse.io/[company]  
-    greenhouse: [
-      // Enterprise / Public
-      'datadog',
-      'cloudflare',
-      'twilio',
-      'mongodb',
-      'okta',
-      'pagerduty',
-      'zscaler',
-      'gitlab',
-      // Fintech
-      'stripe',
-      'affirm',
-      'robinhood',
-      'mercury',
-      'block',
-      // Consumer / Marketplace
-      'airbnb',
-      'instacart',
-      'lyft',
-      'duolingo',
-      'reddit',
-      'toast',
-      // Productivity
-      'airtable',
-      'gusto',
-      'figma',
-      'flexport',
-      // Hardware / Autonomous
-      'waymo',
-      'nuro',
-      'samsara',
-      'verkada',
-      // AI / Data
-      'databricks',
-    ],
+    // Grouped into sections (used by the digest); a plain array also works
+    lever: {
+      'Enterprise / Late Stage': [
+        'spotify',
+        'palantir',
+      ],
+      'Sales Tech': [
+        'clari',
+        'outreach',
+        'highspot',
+      ],
+    },
+    // Greenhouse: boards.greenhouse.io/[company]
+    greenhouse: {
+      'Enterprise / Public': [
+        'datadog',
+        'cloudflare',
+        'twilio',
+        'mongodb',
+        'okta',
+        'pagerduty',
+        'zscaler',
+        'gitlab',
+      ],
+      'Fintech': [
+        'stripe',
+        'affirm',
+        'robinhood',
+        'mercury',
+        'block',
+      ],
+      'Consumer / Marketplace': [
+        'airbnb',
+        'instacart',
+        'lyft',
+        'duolingo',
+        'reddit',
+        'toast',
+      ],
+      'Productivity': [
+        'airtable',
+        'gusto',
+        'figma',
+        'flexport',
+      ],
+      'Hardware / Autonomous': [
+        'waymo',
+        'nuro',
+        'samsara',
+        'verkada',
+      ],
+      'AI / Data': [
+        'databricks',
+      ],
+    },
+    // Ashby: jobs.ashbyhq.com/[company]
+    ashby: {
+      'AI / Data': [
+        'openai',
+        'cohere',
+        'elevenlabs',
+      ],
+      'Productivity': [
+        'linear',
+        'notion',
+      ],
+      'Fintech': [
+        'ramp',
+      ],
+    },
+    // Workday: [host]/[site] from the career site URL, e.g. nvidia.wd5.myworkdayjobs.com/NVIDIAExternalCareerSite
+    // Searched for the role keywords above; add `facets` to narrow results,
+    // e.g. facets: { 'Job Family': ['Sales', 'Solutions Engineering'] }
+    workday: {
+      'Enterprise / Public': [
+        { name: 'Salesforce', host: 'salesforce.wd12.myworkdayjobs.com', site: 'External_Career_Site' },
+        { name: 'NVIDIA', host: 'nvidia.wd5.myworkdayjobs.com', site: 'NVIDIAExternalCareerSite' },
+        { name: 'Adobe', host: 'adobe.wd5.myworkdayjobs.com', site: 'external_experienced' },
+      ],
+    },
+    // SmartRecruiters: jobs.smartrecruiters.com/[company] (company IDs are case-sensitive)
+    smartrecruiters: {
+      'Enterprise / Public': [
+        'ServiceNow',
+      ],
+      'Productivity': [
+        'Freshworks',
+      ],
+    },
+    // Workable: apply.workable.com/[company]
+    workable: {
+      'Productivity': [
+        'hotjar',
+      ],
+    },
   },
 
-  // Filter jobs by these keywords (case-insensitive)
+  // Filter jobs with these rules (see src/services/filter.js)
+  // Rules are whole-word keywords ('ai' won't match "Chair"), globs ('engineer*'),
+  // regexes ('/\\bsr\\.? engineer/i') or groups ({ any: [...] }, { all: [...] }, { not: rule })
   filters: {
-    // Include jobs with these role keywords
-    roles: [
-      // AI roles
-      'ai engineer',
-      'ai',
-      'machine learning',
-      'ml engineer',
-      'artificial intelligence',
-      // Sales Engineering
-      'sales engineer',
-      'sales engineering',
-      // Solutions Engineering  
-      'solutions engineer',
-      'solutions engineering',
-      'solution engineer',
-      'solutions architect',
-      'solution architect',
-      // Pre-sales
-      'presales',
-      'pre-sales',
-      'presales engineer',
-      'pre-sales engineer',
-      // Technical Sales
-      'technical sales',
-      'sales consultant',
-      'technical account',
-      // Customer Engineering
-      'customer engineer',
-      'customer success engineer',
-      'field engineer',
-    ],
-    // Include jobs with these location keywords (empty = all locations)
-    locations: [
-      // Remote
-      'remote', 'anywhere', 'distributed', 'work from home',
-      // USA general
-      'united states', 'usa', 'us,', 'u.s.',
-      // USA cities
-      'new york', 'nyc', 'san francisco', 'sf', 'bay area', 
-      'los angeles', 'la', 'seattle', 'austin', 'boston', 
-      'chicago', 'denver', 'miami', 'atlanta', 'washington dc',
-      'san diego', 'portland', 'philadelphia', 'dallas', 'houston',
-      'phoenix', 'minneapolis', 'detroit', 'san jose', 'palo alto',
-      'mountain view', 'sunnyvale', 'menlo park', 'redwood city',
-      // Canada general
-      'canada', 'canadian',
-      // Canada cities
-      'toronto', 'vancouver', 'montreal', 'ottawa', 'calgary', 
-      'edmonton', 'waterloo', 'kitchener',
-    ],
-    // Exclude jobs with these keywords (empty = no exclusions, all XP levels welcome)
+    // Include jobs with these role keywords, grouped by category
+    // (group names can be used in routing rules below)
+    roles: {
+      ai: [
+        'ai engineer',
+        'ai',
+        'machine learning',
+        'ml engineer',
+        'artificial intelligence',
+      ],
+      salesEngineering: [
+        'sales engineer',
+        'sales engineering',
+      ],
+      solutionsEngineering: [
+        'solutions engineer',
+        'solutions engineering',
+        'solution engineer',
+        'solutions architect',
+        'solution architect',
+      ],
+      presales: [
+        'presales',
+        'pre-sales',
+        'presales engineer',
+        'pre-sales engineer',
+      ],
+      technicalSales: [
+        'technical sales',
+        'sales consultant',
+        'technical account',
+      ],
+      customerEngineering: [
+        'customer engineer',
+        'customer success engineer',
+        'field engineer',
+      ],
+      // Customer-facing titles whose description (company job boards) is a solutions role,
+      // e.g. "Technical Specialist" on a pre-sales team
+      solutionsByDescription: [
+        {
+          all: [
+            { any: ['specialist', 'consultant', 'advisor', 'strategist', 'technical *'] },
+            { in: ['description'], any: ['solutions engineering', 'solutions architect', 'pre-sales', 'presales'] },
+          ],
+        },
+      ],
+    },
+    // Include jobs in these places (locations are parsed by src/utils/location.js)
+    locations: {
+      // Country codes to include
+      countries: ['US', 'CA'],
+      // Also include remote jobs that don't name a country ("Remote", "Anywhere")
+      remoteAnywhere: true,
+      // Only these workplace types: 'remote', 'hybrid', 'onsite' (empty = all)
+      workplaceTypes: [],
+      // Include jobs whose location couldn't be parsed
+      keepUnknown: false,
+    },
+    // Exclude jobs with these title rules (empty = no exclusions, all XP levels welcome)
+    // e.g. ['intern*', { all: ['staff', { not: 'ai' }] }]
+    // Use `in` to match the full description (company job boards only), e.g. clearances or years of experience:
+    // { in: ['description'], any: ['security clearance', 'ts/sci', '/\\b(?:[89]|1\\d)\\+? years/i'] }
     exclude: [],
+    // Minimum yearly pay by currency (hourly/monthly pay is annualized, jobs without pay info pass)
+    minSalary: {
+      amounts: {
+        // e.g. USD: 120000, CAD: 100000
+      },
+      // 'drop' skips lower-paying jobs, 'flag' posts them marked as below minimum
+      action: 'flag',
+    },
+  },
+
+  // Cross-source duplicate detection (the same role on several boards is posted once)
+  duplicates: {
+    // How alike titles must be (0-1) for postings at the same company to count as one job
+    titleSimilarity: 0.85,
+    // Source used for the posted job when a role is on several boards
+    sourcePriority: ['Greenhouse', 'Lever', 'Ashby', 'Workday', 'SmartRecruiters', 'Workable', 'Wellfound', 'Y Combinator', 'Hacker News', 'Job Feeds', 'LinkedIn', 'Indeed', 'Glassdoor', 'Otta'],
+  },
+
+  // Post jobs to different channels by category
+  // A job goes to every channel whose rule matches, or to the fallback channel if none do.
+  // Each rule can match on roles (filters.roles group names), countries, workplaceTypes,
+  // locations (keyword rules), sources and companies;
+  // all criteria set on a rule must match. Rules without a channel ID are ignored.
+  routing: {
+    fallbackChannelId: process.env.DISCORD_CHANNEL_ID,
+    rules: [
+      {
+        name: 'AI / ML',
+        channelId: process.env.DISCORD_AI_CHANNEL_ID,
+        roles: ['ai'],
+      },
+      {
+        name: 'Sales & Solutions Engineering',
+        channelId: process.env.DISCORD_SALES_CHANNEL_ID,
+        roles: ['salesEngineering', 'solutionsEngineering', 'presales', 'technicalSales', 'customerEngineering', 'solutionsByDescription'],
+      },
+      {
+        name: 'Canada',
+        channelId: process.env.DISCORD_CANADA_CHANNEL_ID,
+        countries: ['CA'],
+      },
+    ],
   },
 
   // Scraping intervals (in cron format)
+  // Each task takes a cron expression, null to disable, or
+  // { cron: '...', jitter: 60 } to delay each run by up to 60 random seconds
   schedule: {
     // Check for new jobs every hour
     jobCheck: '0 * * * *',
-    // LinkedIn emails handled by n8n workflow - disabled here
-    emailCheck: null,
+    // Sources can have their own schedule instead of running with jobCheck,
+    // keyed by scraper name (see scrapers.enabled below), e.g.:
+    // greenhouse: '*/30 * * * *',
+    // wellfound: { cron: '0 */6 * * *', jitter: 300 },
+    // Alert emails (email) are checked every 30 minutes by default when enabled,
+    // Hacker News reads the monthly thread every 6 hours
+    // Post a digest of new jobs (e.g. '0 9 * * 1' for Mondays at 9 AM) - disabled by default
+    digest: null,
+  },
+
+  // Job sources (modules in src/scrapers, see src/scrapers/index.js)
+  scrapers: {
+    // Turn sources on or off by name (sources not listed are on)
+    enabled: {
+      lever: true,
+      greenhouse: true,
+      ashby: true,
+      workday: true,
+      smartrecruiters: true,
+      workable: true,
+      wellfound: true,
+      ycombinator: true,
+      hackernews: true,
+      feeds: true,
+      // Alert emails (LinkedIn, Indeed, ...) handled by n8n workflow - disabled here
+      // (or have n8n drop them in with email.mode 'import')
+      email: false,
+    },
+    // Extra scraper modules to load, relative to the project root (e.g. 'scrapers')
+    directory: process.env.SCRAPERS_DIR || null,
+  },
+
+  // Inbox with job alert emails, read over IMAP
+  email: {
+    // Where alerts come from: 'imap' (the mailbox below) or 'import' (email
+    // files dropped in import.directory or posted to the webhook, e.g. by n8n)
+    mode: process.env.EMAIL_MODE || 'imap',
+    host: process.env.EMAIL_HOST || 'imap-mail.outlook.com',
+    port: parseInt(process.env.EMAIL_PORT) || 993,
+    user: process.env.EMAIL_USER,
+    password: process.env.EMAIL_PASSWORD,
+    // Verify the server's TLS certificate (only turn off for a self-signed test server)
+    rejectUnauthorized: process.env.EMAIL_TLS_VERIFY !== 'false',
+    mailbox: process.env.EMAIL_MAILBOX || 'INBOX',
+    // How far back to read on first run, or after the mailbox's UIDVALIDITY changes
+    firstRunDays: 1,
+    // Keep the connection open and check as soon as alerts arrive (IMAP IDLE)
+    idle: true,
+    // What to do with processed emails:
+    // { action: 'none' }, { action: 'flag', flag: '\\Seen' } or { action: 'move', folder: 'Job Alerts' }
+    processed: { action: 'none' },
+    // Alert parsers (modules in src/parsers) by name: false turns one off,
+    // { senders: [...] } replaces the addresses (or domains) its alerts come from
+    parsers: {
+      linkedin: true,
+      indeed: true,
+      glassdoor: true,
+      wellfound: true,
+      otta: true,
+    },
+    // Import mode: .eml and mbox files in directory (relative to the project root)
+    // are read once, then moved to processed/
+    import: {
+      directory: process.env.EMAIL_IMPORT_DIR || 'data/inbox',
+      // HTTP endpoint that saves a POSTed email to the directory (port null = off).
+      // Listens on localhost unless host is set; send the token as "Authorization: Bearer <token>"
+      webhook: {
+        port: parseInt(process.env.EMAIL_WEBHOOK_PORT) || null,
+        host: process.env.EMAIL_WEBHOOK_HOST || '127.0.0.1',
+        path: '/emails',
+        token: process.env.EMAIL_WEBHOOK_TOKEN || null,
+      },
+    },
+  },
+
+  // Hacker News "Ask HN: Who is hiring?" threads
+  hackerNews: {
+    // Story ID to read (null = the latest thread)
+    threadId: process.env.HN_THREAD_ID || null,
+  },
+
+  // RSS, Atom and JSON Feed job feeds
+  // `fields` maps job fields (title, company, location, link, salary, description, id)
+  // to item data. A rule is a path - a tag or selector in the item, with @attr for an
+  // attribute ('link@href'), or dotted keys for JSON Feed ('_job.location') - or
+  // { path, pattern } to take the first regex group, { value } for a fixed value,
+  // or a list of rules tried in order. Unmapped fields use the format's usual element.
+  feeds: [
+    {
+      name: 'We Work Remotely (Sales)',
+      url: 'https://weworkremotely.com/categories/remote-sales-and-marketing-jobs.rss',
+      // Titles are "Company: Role"
+      fields: {
+        title: { path: 'title', pattern: '^[^:]+:\\s*(.+)$' },
+        company: { path: 'title', pattern: '^([^:]+):' },
+        location: 'region',
+      },
+    },
+  ],
+
+  // Digest of recent jobs (scheduled by schedule.digest)
+  digest: {
+    // Channel to post in (defaults to the career channel)
+    channelId: process.env.DISCORD_DIGEST_CHANNEL_ID || process.env.DISCORD_CHANNEL_ID,
+    // Include jobs first seen in this many days (match the schedule: 1 for daily, 7 for weekly)
+    days: 7,
+    // 'company' or 'category' (the sections in config.companies)
+    groupBy: 'category',
+    // Jobs listed per group (the rest are counted)
+    maxJobsPerGroup: 5,
   },
 
   // Message formatting
   formatting: {
-    // Max jobs to post in a single batch (to avoid rate limits)
+    // Message style: 'text', 'embed' (up to 10 jobs per message) or 'both'
+    mode: 'text',
+    // Max jobs to post per cycle (the rest stay queued for the next cycle)
     maxBatchSize: 10,
     // Delay between posts in ms
     postDelay: 2000,
   },
+
+  // Slash commands
+  commands: {
+    // Commands that need the admin role (DISCORD_ADMIN_ROLE_ID)
+    adminOnly: ['jobs check'],
+    // Max results shown by /jobs search
+    searchLimit: 10,
+  },
+
+  // Greenhouse/Lever/Ashby/Workday/SmartRecruiters/Workable postings that disappear from their board
+  closedJobs: {
+    // Board fetches a job can be missing from before it counts as closed
+    // (guards against brief outages or pagination hiccups)
+    missedCycles: 3,
+    // Edit the job's Discord messages to mark it closed
+    editMessages: true,
+  },
+
+  // Per-user job alerts (/alerts)
+  subscriptions: {
+    // Saved alerts per user
+    maxPerUser: 10,
+    // Jobs listed in one DM (the rest are summarized)
+    maxJobsPerMessage: 15,
+  },
+
+  // How long tracked jobs are remembered
+  retention: {
+    // Days after a job was last listed before it is forgotten
+    // (jobs still being listed are never forgotten)
+    days: 30,
+    // Days to remember closed jobs, to recognize them if they are reposted
+    closedDays: 90,
+    // Closed jobs that are listed again:
+    // 'post' - post them again, tagged as reposted
+    // 'ignore' - reopen them silently
+    reposts: 'post',
+  },
+
+  // Outbound post queue (data/queue.json)
+  queue: {
+    // Immediate retries for a failed Discord send
+    sendRetries: 3,
+    // Base backoff delay in ms (doubles on each retry)
+    retryDelay: 5000,
+    // Failed cycles before a job is dropped from the queue
+    maxAttempts: 5,
+  },
 };
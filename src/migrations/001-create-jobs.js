@@ -0,0 +1,28 @@
+/**
+ * Create the jobs table
+ *
+ * Common fields get their own columns for searching;
+ * the full job object from the scraper is kept as JSON in `data`.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE jobs (
+      id TEXT PRIMARY KEY,
+      source TEXT,
+      title TEXT,
+      company TEXT,
+      location TEXT,
+      url TEXT,
+      data TEXT NOT NULL DEFAULT '{}',
+      first_seen TEXT NOT NULL,
+      last_seen TEXT NOT NULL
+    );
+
+    CREATE INDEX jobs_source ON jobs (source);
+    CREATE INDEX jobs_company ON jobs (company);
+    CREATE INDEX jobs_first_seen ON jobs (first_seen);
+  `);
+}
+
+module.exports = { up };
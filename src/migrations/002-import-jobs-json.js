@@ -0,0 +1,43 @@
+/**
+ * Import the old JSON dedup store (data/jobs.json)
+ *
+ * Runs once, when upgrading from the JSON store. The file is left in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const JSON_PATH = path.join(__dirname, '../../data/jobs.json');
+
+function up(db) {
+  if (!fs.existsSync(JSON_PATH)) {
+    return;
+  }
+
+  const seenJobs = JSON.parse(fs.readFileSync(JSON_PATH, 'utf8'));
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO jobs (id, source, title, company, location, url, data, first_seen, last_seen)
+    VALUES (@id, @source, @title, @company, @location, @url, @data, @firstSeen, @lastSeen)
+  `);
+
+  const entries = Object.values(seenJobs);
+  for (const job of entries) {
+    const now = new Date().toISOString();
+    insert.run({
+      id: job.id,
+      source: job.source || null,
+      title: job.title || null,
+      company: job.company || null,
+      location: job.location || null,
+      url: job.url || null,
+      data: JSON.stringify(job),
+      firstSeen: job.firstSeen || now,
+      lastSeen: job.lastSeen || job.firstSeen || now,
+    });
+  }
+
+  logger.info(`Database: Imported ${entries.length} jobs from jobs.json`);
+}
+
+module.exports = { up };
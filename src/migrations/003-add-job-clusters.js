@@ -0,0 +1,163 @@
+/**
+ * Add duplicate detection keys and clusters to jobs
+ *
+ * Postings of the same role from different sources share a cluster_id
+ * (the ID of the job that was posted). The key columns hold normalized
+ * company, title and URL for finding duplicates (see services/cluster.js).
+ *
+ * The normalization below is a frozen copy of services/cluster.js as of this
+ * migration, so its result doesn't change with later code. Jobs get fresh
+ * keys from the live code whenever they're seen again.
+ */
+
+// Legal suffixes dropped from company names
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'plc', 'sa', 'ag', 'hq',
+]);
+
+// Title abbreviations expanded before comparing
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  snr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  mgr: 'manager',
+  swe: 'software engineer',
+  ml: 'machine learning',
+  pm: 'product manager',
+  vp: 'vice president',
+  dir: 'director',
+  i: '1',
+  ii: '2',
+  iii: '3',
+  iv: '4',
+};
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'and', 'for', 'to', 'with']);
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(?:utm_.*|ref|refid|source|src|gh_src|lever-source.*|trk|trackingid|lipi)$/i;
+
+/**
+ * Normalize a company name ("Stripe, Inc." -> "stripe")
+ * @param {string} name - Company name
+ * @returns {string} Normalized name ('' if unknown)
+ */
+function normalizeCompany(name) {
+  const tokens = (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  if (tokens[0] === 'the' && tokens.length > 1) {
+    tokens.shift();
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Normalize a job title ("Sr. Solutions Eng (Remote)" -> "senior solutions engineer").
+ * Unlike services/cluster.js, location suffixes are kept: stripping them
+ * needs the location parser, and title_key isn't used to look up duplicates.
+ * @param {string} title - Job title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token && !TITLE_STOPWORDS.has(token))
+    .map(token => TITLE_ABBREVIATIONS[token] || token)
+    .join(' ');
+}
+
+/**
+ * Canonicalize a job URL (Greenhouse, Lever and LinkedIn map to 'board:id';
+ * other URLs lose tracking params)
+ * @param {string} url - Job URL
+ * @returns {string|null} Canonical URL or null
+ */
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname;
+  let match;
+
+  // Company career pages embedding a Greenhouse board
+  if (parsed.searchParams.get('gh_jid')) {
+    return `greenhouse:${parsed.searchParams.get('gh_jid')}`;
+  }
+  if (host.endsWith('greenhouse.io') && (match = pathname.match(/\/jobs\/(\d+)/))) {
+    return `greenhouse:${match[1]}`;
+  }
+  if (host.endsWith('lever.co') && (match = pathname.match(/^\/[^/]+\/([0-9a-f-]{36})/i))) {
+    return `lever:${match[1].toLowerCase()}`;
+  }
+  if (host.endsWith('linkedin.com') && (match = pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/))) {
+    return `linkedin:${match[1]}`;
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+
+  return `${host}${pathname.replace(/\/+$/, '')}${query}`;
+}
+
+/**
+ * Get a job's duplicate detection keys
+ * @param {Object} job - { title, company, url }
+ * @returns {Object} { companyKey, titleKey, urlKey }
+ */
+function getMatchKeys(job) {
+  return {
+    companyKey: normalizeCompany(job.company),
+    titleKey: normalizeTitle(job.title),
+    urlKey: canonicalUrl(job.url),
+  };
+}
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN company_key TEXT;
+    ALTER TABLE jobs ADD COLUMN title_key TEXT;
+    ALTER TABLE jobs ADD COLUMN url_key TEXT;
+    ALTER TABLE jobs ADD COLUMN cluster_id TEXT;
+
+    CREATE INDEX jobs_company_key ON jobs (company_key);
+    CREATE INDEX jobs_url_key ON jobs (url_key);
+    CREATE INDEX jobs_cluster_id ON jobs (cluster_id);
+  `);
+
+  // Backfill keys; existing jobs start as their own cluster
+  const update = db.prepare(`
+    UPDATE jobs
+    SET company_key = @companyKey, title_key = @titleKey, url_key = @urlKey, cluster_id = id
+    WHERE id = @id
+  `);
+
+  for (const row of db.prepare('SELECT id, title, company, url FROM jobs').all()) {
+    update.run({ id: row.id, ...getMatchKeys(row) });
+  }
+}
+
+module.exports = { up };
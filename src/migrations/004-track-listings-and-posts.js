@@ -0,0 +1,29 @@
+/**
+ * Track whether jobs are still listed, and the Discord messages they were posted in
+ *
+ * board: where the job is listed (e.g. 'greenhouse:stripe'), for sources that
+ * return the full board each cycle. missed_cycles counts cycles the board was
+ * fetched without the job; status becomes 'closed' after too many.
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN board TEXT;
+    ALTER TABLE jobs ADD COLUMN status TEXT NOT NULL DEFAULT 'open';
+    ALTER TABLE jobs ADD COLUMN missed_cycles INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE jobs ADD COLUMN closed_at TEXT;
+
+    CREATE INDEX jobs_board ON jobs (board);
+
+    CREATE TABLE posts (
+      job_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      embed_index INTEGER,
+      posted_at TEXT NOT NULL,
+      PRIMARY KEY (job_id, channel_id)
+    );
+  `);
+}
+
+module.exports = { up };
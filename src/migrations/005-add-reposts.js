@@ -0,0 +1,18 @@
+/**
+ * Track jobs that were closed and later listed again
+ *
+ * repost_count: times the job came back after being closed.
+ * reposted_at: when it last came back.
+ */
+
+function up(db) {
+  db.exec(`
+    ALTER TABLE jobs ADD COLUMN repost_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE jobs ADD COLUMN reposted_at TEXT;
+
+    CREATE INDEX jobs_last_seen ON jobs (last_seen);
+    CREATE INDEX jobs_status ON jobs (status);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,44 @@
+/**
+ * Per-user job alert subscriptions
+ *
+ * subscribers: one row per user with their delivery settings.
+ * subscriptions: a user's saved filters (list fields are JSON arrays).
+ * subscription_matches: matched jobs waiting to be sent to the user.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE subscribers (
+      user_id TEXT PRIMARY KEY,
+      muted INTEGER NOT NULL DEFAULT 0,
+      paused_until TEXT,
+      frequency TEXT NOT NULL DEFAULT 'instant',
+      last_sent_at TEXT
+    );
+
+    CREATE TABLE subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      keywords TEXT NOT NULL DEFAULT '[]',
+      companies TEXT NOT NULL DEFAULT '[]',
+      locations TEXT NOT NULL DEFAULT '[]',
+      sources TEXT NOT NULL DEFAULT '[]',
+      min_salary INTEGER,
+      currency TEXT,
+      created_at TEXT NOT NULL,
+      UNIQUE (user_id, name)
+    );
+
+    CREATE TABLE subscription_matches (
+      user_id TEXT NOT NULL,
+      job_id TEXT NOT NULL,
+      subscription TEXT NOT NULL,
+      job TEXT NOT NULL,
+      matched_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, job_id)
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,19 @@
+/**
+ * Track which alert emails have been read
+ *
+ * mailbox_state: per account and mailbox, the UIDVALIDITY the UIDs belong to
+ * and the highest UID processed. A new UIDVALIDITY means the UIDs were reset.
+ */
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE mailbox_state (
+      mailbox TEXT PRIMARY KEY,
+      uid_validity INTEGER NOT NULL,
+      last_uid INTEGER NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,72 @@
+/**
+ * Glassdoor Alert Parser
+ *
+ * Parses Glassdoor job alert emails
+ */
+
+const logger = require('../utils/logger');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { extractCards, readCardLines, readSearchTerm } = require('../utils/email');
+
+// Job links carry the listing ID ('/partner/jobListing.htm?jobListingId=...', '/job-listing/...?jl=...')
+const JOB_LINK = /glassdoor\.[a-z.]+\/[^"'\s]*[?&](?:jl|jobListingId)=(\d+)/i;
+// Company rating after the name ("Acme 4.2 ★")
+const RATING = /\s+\d(?:\.\d)?\s*★?$/;
+
+/**
+ * Get the Glassdoor listing ID from a link
+ * @param {string} href - Link URL
+ * @returns {string|null} Listing ID or null
+ */
+function getJobId(href) {
+  const match = (href || '').match(JOB_LINK);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a Glassdoor job alert email.
+ * Cards put the company (with its rating) above the title, then the
+ * location, pay estimate, "Easy Apply" and age ("3d", "24h").
+ * @param {Object} email - Parsed email from mailparser ({ subject, html })
+ * @returns {Array} Array of job objects
+ */
+function parse(email) {
+  const searchTerm = readSearchTerm(email.subject);
+  const cards = email.html ? extractCards(email.html, getJobId) : [];
+
+  const untitled = cards.filter(card => !card.title).length;
+  if (untitled > 0) {
+    logger.warn(`Glassdoor: Skipped ${untitled} jobs without a title in "${email.subject}" (alert layout may have changed)`);
+  }
+
+  return cards
+    .filter(card => card.title)
+    .map(({ jobId, title, before, after }) => {
+      const company = before.length > 0 ? before[before.length - 1].replace(RATING, '') : null;
+      const card = readCardLines(after, { company });
+
+      return {
+        id: `glassdoor-${jobId}`,
+        jobId,
+        title,
+        company: card.company || null,
+        location: card.location || 'Not specified',
+        locations: parseLocations(card.location),
+        salary: card.salary || null,
+        compensation: parseCompensation(card.salary),
+        easyApply: !!card.easyApply,
+        postedAgo: card.postedAgo || null,
+        url: `https://www.glassdoor.com/job-listing/j?jl=${jobId}`,
+        searchTerm,
+      };
+    });
+}
+
+module.exports = {
+  name: 'glassdoor',
+  displayName: 'Glassdoor',
+  color: 0x0CAA41,
+  senders: ['noreply@glassdoor.com'],
+  parse,
+};
@@ -0,0 +1,69 @@
+/**
+ * Indeed Alert Parser
+ *
+ * Parses Indeed job alert emails ("12 new Sales Engineer jobs in Austin, TX")
+ */
+
+const logger = require('../utils/logger');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { extractCards, readCardLines, readSearchTerm } = require('../utils/email');
+
+// Job links carry the job key ('/rc/clk/dl?jk=...', '/viewjob?jk=...', any country domain)
+const JOB_LINK = /indeed\.[a-z.]+\/[^"'\s]*[?&](?:jk|vjk)=([0-9a-f]{16})/i;
+
+/**
+ * Get the Indeed job key from a link
+ * @param {string} href - Link URL
+ * @returns {string|null} Job key or null
+ */
+function getJobId(href) {
+  const match = (href || '').match(JOB_LINK);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Parse an Indeed job alert email.
+ * Cards list the title, company, location, then optional pay,
+ * "Easily apply", a snippet and "Just posted" / "3 days ago".
+ * @param {Object} email - Parsed email from mailparser ({ subject, html })
+ * @returns {Array} Array of job objects
+ */
+function parse(email) {
+  const searchTerm = readSearchTerm(email.subject);
+  const cards = email.html ? extractCards(email.html, getJobId) : [];
+
+  const untitled = cards.filter(card => !card.title).length;
+  if (untitled > 0) {
+    logger.warn(`Indeed: Skipped ${untitled} jobs without a title in "${email.subject}" (alert layout may have changed)`);
+  }
+
+  return cards
+    .filter(card => card.title)
+    .map(({ jobId, title, after }) => {
+      const card = readCardLines(after);
+
+      return {
+        id: `indeed-${jobId}`,
+        jobId,
+        title,
+        company: card.company || null,
+        location: card.location || 'Not specified',
+        locations: parseLocations(card.location),
+        salary: card.salary || null,
+        compensation: parseCompensation(card.salary),
+        easyApply: !!card.easyApply,
+        postedAgo: card.postedAgo || null,
+        url: `https://www.indeed.com/viewjob?jk=${jobId}`,
+        searchTerm,
+      };
+    });
+}
+
+module.exports = {
+  name: 'indeed',
+  displayName: 'Indeed',
+  color: 0x2164F3,
+  senders: ['alert@indeed.com', 'donotreply@jobalert.indeed.com'],
+  parse,
+};
@@ -0,0 +1,189 @@
+/**
+ * Alert Email Parser Registry
+ *
+ * Loads every alert email parser in this directory. Alert emails from all
+ * enabled parsers are read in one mailbox search (scrapers/email), and each
+ * email goes to the parser for its sender. A parser module exports a descriptor:
+ *
+ *   module.exports = {
+ *     name: 'indeed',                   // Unique key, used in config.email.parsers
+ *     displayName: 'Indeed',            // Set as job.source
+ *     color: 0x2164F3,                  // Embed color
+ *     senders: ['alert@indeed.com'],    // Sender addresses (or domains)
+ *     parse: (email) => [...],          // Returns job objects from a mailparser email
+ *   };
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getSenderAddress } = require('../utils/email');
+
+// Default embed color for parsers that don't set one
+const DEFAULT_COLOR = 0x5865F2;
+
+// Loaded descriptors by name
+let parsers = null;
+
+/**
+ * Check a module's descriptor
+ * @param {Object} descriptor - Module exports
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validate(descriptor) {
+  if (!descriptor || typeof descriptor.name !== 'string' || !descriptor.name) {
+    return 'missing name';
+  }
+  if (typeof descriptor.parse !== 'function') {
+    return 'missing parse()';
+  }
+  if (!Array.isArray(descriptor.senders) || descriptor.senders.length === 0) {
+    return 'missing senders';
+  }
+  return null;
+}
+
+/**
+ * Load a parser module and add it to the registry
+ * @param {string} file - Module path
+ */
+function register(file) {
+  let descriptor;
+  try {
+    descriptor = require(file);
+  } catch (error) {
+    logger.error(`Parsers: Failed to load ${file}:`, error.message);
+    return;
+  }
+
+  const problem = validate(descriptor);
+  if (problem) {
+    logger.error(`Parsers: Skipping ${file}: ${problem}`);
+    return;
+  }
+  if (parsers.has(descriptor.name)) {
+    logger.error(`Parsers: Skipping ${file}: a parser named ${descriptor.name} is already loaded`);
+    return;
+  }
+
+  // config.email.parsers can replace a parser's senders
+  const settings = config.email.parsers?.[descriptor.name];
+  const senders = settings?.senders || descriptor.senders;
+
+  parsers.set(descriptor.name, {
+    ...descriptor,
+    displayName: descriptor.displayName || descriptor.name,
+    color: descriptor.color ?? DEFAULT_COLOR,
+    senders: senders.map(sender => sender.toLowerCase()),
+  });
+}
+
+/**
+ * Load the parsers (once)
+ * @returns {Map} Parser descriptors by name
+ */
+function load() {
+  if (parsers) {
+    return parsers;
+  }
+
+  parsers = new Map();
+  fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .forEach(file => register(path.join(__dirname, file)));
+
+  logger.debug(`Parsers: Loaded ${[...parsers.keys()].join(', ')}`);
+  return parsers;
+}
+
+/**
+ * Check if a parser is enabled in config.email.parsers (default on)
+ * @param {string} name - Parser name
+ * @returns {boolean} True if enabled
+ */
+function isEnabled(name) {
+  return config.email.parsers?.[name] !== false;
+}
+
+/**
+ * Get every loaded parser
+ * @returns {Array} Parser descriptors
+ */
+function getAll() {
+  return [...load().values()];
+}
+
+/**
+ * Get the enabled parsers
+ * @returns {Array} Parser descriptors
+ */
+function getEnabled() {
+  return getAll().filter(parser => isEnabled(parser.name));
+}
+
+/**
+ * Get the sender addresses of the enabled parsers
+ * @returns {Array} Addresses (or domains) to search for
+ */
+function getSenders() {
+  return [...new Set(getEnabled().flatMap(parser => parser.senders))];
+}
+
+/**
+ * Check whether an address matches a configured sender
+ * @param {string} address - Lowercase sender address
+ * @param {string} sender - Address, or a domain matching any address there
+ * @returns {boolean} True if it matches
+ */
+function matchesSender(address, sender) {
+  if (sender.includes('@')) {
+    return address === sender;
+  }
+  return address.endsWith(`@${sender}`) || address.endsWith(`.${sender}`);
+}
+
+/**
+ * Find the enabled parser for an email's sender
+ * @param {Object} email - Parsed email from mailparser
+ * @returns {Object|null} Parser descriptor or null
+ */
+function findForEmail(email) {
+  const address = getSenderAddress(email);
+  if (!address) {
+    return null;
+  }
+  return getEnabled().find(parser => parser.senders.some(sender => matchesSender(address, sender))) || null;
+}
+
+/**
+ * Parse an alert email with the parser for its sender
+ * @param {Object} email - Parsed email from mailparser
+ * @returns {Array} Array of job objects, tagged with the parser's source
+ */
+function parseEmail(email) {
+  const parser = findForEmail(email);
+  if (!parser) {
+    logger.debug(`Parsers: No parser for email from ${getSenderAddress(email)} ("${email.subject}")`);
+    return [];
+  }
+
+  const scrapedAt = new Date().toISOString();
+  return parser.parse(email).map(job => ({
+    ...job,
+    source: parser.displayName,
+    emailSubject: email.subject,
+    scrapedAt,
+  }));
+}
+
+module.exports = {
+  load,
+  isEnabled,
+  getAll,
+  getEnabled,
+  getSenders,
+  findForEmail,
+  parseEmail,
+};
@@ -0,0 +1,158 @@
+/**
+ * LinkedIn Alert Parser
+ *
+ * Parses LinkedIn job alert emails
+ */
+
+const logger = require('../utils/logger');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { CARD_LINES, extractCards, readCardLines } = require('../utils/email');
+
+// Job links in alert emails ('/comm/jobs/view/123...' with tracking parameters)
+const JOB_LINK = /linkedin\.com\/(?:comm\/)?jobs\/view\/(\d+)/i;
+
+/**
+ * Get the LinkedIn job ID from a link
+ * @param {string} href - Link URL
+ * @returns {string|null} Job ID or null
+ */
+function getJobId(href) {
+  const match = (href || '').match(JOB_LINK);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build a job object from an alert card's details
+ * @param {string} jobId - LinkedIn job ID
+ * @param {Object} card - { title, company, location, salary, easyApply, postedAgo }
+ * @returns {Object} Job object
+ */
+function buildJob(jobId, card) {
+  return {
+    id: `linkedin-${jobId}`,
+    jobId,
+    title: card.title || null,
+    company: card.company || null,
+    location: card.location || 'Not specified',
+    locations: parseLocations(card.location),
+    salary: card.salary || null,
+    compensation: parseCompensation(card.salary),
+    easyApply: !!card.easyApply,
+    postedAgo: card.postedAgo || null,
+    url: `https://www.linkedin.com/jobs/view/${jobId}/`,
+  };
+}
+
+/**
+ * Extract job cards from alert email HTML
+ * @param {string} html - Email HTML content
+ * @returns {Array} Array of job objects (title is null if the card had none)
+ */
+function extractJobsFromHtml(html) {
+  return extractCards(html, getJobId).map(({ jobId, title, after }) => {
+    const details = readCardLines(after);
+
+    // Without a title there's no telling which line is the company
+    if (!title) {
+      const { salary, easyApply, postedAgo } = details;
+      return buildJob(jobId, { salary, easyApply, postedAgo });
+    }
+    return buildJob(jobId, { title, ...details });
+  });
+}
+
+/**
+ * Extract jobs from the plain text version of an alert.
+ * Each job is a run of lines (title, company, location, insights)
+ * ending in "View job: <url>".
+ * @param {string} text - Email text content
+ * @returns {Array} Array of job objects
+ */
+function extractJobsFromText(text) {
+  const jobs = [];
+  let block = [];
+
+  (text || '').split(/\r?\n/).map(line => line.trim()).forEach(line => {
+    const jobId = getJobId(line);
+    if (jobId && /^view job:/i.test(line)) {
+      const [title, ...rest] = block;
+      if (title && !jobs.some(job => job.jobId === jobId)) {
+        jobs.push(buildJob(jobId, { title, ...readCardLines(rest.slice(0, CARD_LINES)) }));
+      }
+      block = [];
+    } else if (!line || /^-{5,}$/.test(line)) {
+      block = [];
+    } else {
+      block.push(line);
+    }
+  });
+
+  return jobs;
+}
+
+/**
+ * Parse a LinkedIn job alert email
+ * @param {Object} email - Parsed email from mailparser ({ subject, html, text })
+ * @returns {Array} Array of job objects
+ */
+function parse(email) {
+  const subjectInfo = parseSubject(email.subject || '');
+  let jobs = email.html ? extractJobsFromHtml(email.html) : [];
+  if (jobs.length === 0) {
+    jobs = extractJobsFromText(email.text);
+  }
+
+  // A single-job alert's subject names the role ("Acme - Sales Engineer")
+  const [, subjectCompany, subjectTitle] = (subjectInfo.roleInfo || '').match(/^(.+?) - (.+)$/) || [];
+  if (jobs.length === 1 && !jobs[0].title && subjectTitle) {
+    jobs[0].title = subjectTitle;
+    jobs[0].company = jobs[0].company || subjectCompany;
+  }
+
+  const untitled = jobs.filter(job => !job.title).length;
+  if (untitled > 0) {
+    logger.warn(`LinkedIn: Skipped ${untitled} jobs without a title in "${email.subject}" (alert layout may have changed)`);
+  }
+
+  return jobs
+    .filter(job => job.title)
+    .map(job => ({ ...job, searchTerm: subjectInfo.searchTerm }));
+}
+
+/**
+ * Parse email subject for role info
+ * @param {string} subject - Email subject
+ * @returns {Object} Parsed info
+ */
+function parseSubject(subject) {
+  // Clean subject - remove "Fw:", "Re:" prefixes
+  const cleaned = subject.replace(/^(Fw:|Re:|Fwd:)\s*/i, '').trim();
+
+  // Try to extract search term and role info
+  // Format: "search term": Company - Role, More info
+  const match = cleaned.match(/^["“”]([^"“”]+)["“”]:\s*(.*)$/);
+
+  if (match) {
+    return {
+      searchTerm: match[1],
+      roleInfo: match[2],
+    };
+  }
+
+  return {
+    searchTerm: null,
+    roleInfo: cleaned,
+  };
+}
+
+module.exports = {
+  name: 'linkedin',
+  displayName: 'LinkedIn',
+  color: 0x0A66C2,
+  senders: ['jobalerts-noreply@linkedin.com'],
+  parse,
+  extractJobsFromHtml,
+  extractJobsFromText,
+  parseSubject,
+};
@@ -0,0 +1,64 @@
+/**
+ * Otta Alert Parser
+ *
+ * Parses Otta (Welcome to the Jungle) job recommendation emails
+ */
+
+const logger = require('../utils/logger');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { extractCards, readCardLines } = require('../utils/email');
+
+// Job links ('app.otta.com/jobs/AbC123', or the same path on welcometothejungle.com)
+const JOB_LINK = /(?:otta|welcometothejungle)\.com\/jobs\/([A-Za-z0-9_-]+)/i;
+
+/**
+ * Get the Otta job ID from a link
+ * @param {string} href - Link URL
+ * @returns {string|null} Job ID or null
+ */
+function getJobId(href) {
+  const match = (href || '').match(JOB_LINK);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse an Otta job email.
+ * Cards list the title, company, location and salary.
+ * @param {Object} email - Parsed email from mailparser ({ subject, html })
+ * @returns {Array} Array of job objects
+ */
+function parse(email) {
+  const cards = email.html ? extractCards(email.html, getJobId) : [];
+
+  const untitled = cards.filter(card => !card.title).length;
+  if (untitled > 0) {
+    logger.warn(`Otta: Skipped ${untitled} jobs without a title in "${email.subject}" (email layout may have changed)`);
+  }
+
+  return cards
+    .filter(card => card.title)
+    .map(({ jobId, title, after }) => {
+      const card = readCardLines(after);
+
+      return {
+        id: `otta-${jobId}`,
+        jobId,
+        title,
+        company: card.company || null,
+        location: card.location || 'Not specified',
+        locations: parseLocations(card.location),
+        salary: card.salary || null,
+        compensation: parseCompensation(card.salary),
+        url: `https://app.otta.com/jobs/${jobId}`,
+      };
+    });
+}
+
+module.exports = {
+  name: 'otta',
+  displayName: 'Otta',
+  color: 0x2D2D2D,
+  senders: ['hello@otta.com'],
+  parse,
+};
@@ -0,0 +1,104 @@
+/**
+ * Wellfound Alert Parser
+ *
+ * Parses Wellfound (formerly AngelList Talent) job digest emails. Job IDs
+ * match the Wellfound scraper's, so a role found both ways is posted once.
+ */
+
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { extractCards, readCardLines } = require('../utils/email');
+
+// Job links ('/jobs/123-account-executive' or '/company/acme/jobs/123-...')
+const JOB_LINK = /(?:wellfound\.com|angel\.co)\/(?:company\/[^/]+\/)?jobs\/(\d+[\w-]*)/i;
+// Company profile links
+const COMPANY_LINK = /(?:wellfound\.com|angel\.co)\/company\/([^/?#]+)\/?(?:[?#]|$)/i;
+// Equity range after the salary ("$150k – $180k • 0.1% – 0.5%")
+const EQUITY = /\d+(?:\.\d+)?%\s*[–-]\s*\d+(?:\.\d+)?%|\d+(?:\.\d+)?%/;
+
+/**
+ * Get the Wellfound job ID from a link
+ * @param {string} href - Link URL
+ * @returns {string|null} Job ID ('123-account-executive') or null
+ */
+function getJobId(href) {
+  const match = (href || '').match(JOB_LINK);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find each job's company: the company link before it, which digests put
+ * at the top of each company's group of roles
+ * @param {string} html - Email HTML content
+ * @returns {Map} Company names by job ID
+ */
+function findCompanies(html) {
+  const $ = cheerio.load(html);
+  const companies = new Map();
+  let company = null;
+
+  $('a[href]').each((_, element) => {
+    const href = $(element).attr('href');
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    if (COMPANY_LINK.test(href) && text) {
+      company = text;
+      return;
+    }
+    const jobId = getJobId(href);
+    if (jobId && company && !companies.has(jobId)) {
+      companies.set(jobId, company);
+    }
+  });
+
+  return companies;
+}
+
+/**
+ * Parse a Wellfound job digest email
+ * @param {Object} email - Parsed email from mailparser ({ subject, html })
+ * @returns {Array} Array of job objects
+ */
+function parse(email) {
+  if (!email.html) {
+    return [];
+  }
+
+  const cards = extractCards(email.html, getJobId);
+  const companies = findCompanies(email.html);
+
+  const untitled = cards.filter(card => !card.title).length;
+  if (untitled > 0) {
+    logger.warn(`Wellfound: Skipped ${untitled} jobs without a title in "${email.subject}" (digest layout may have changed)`);
+  }
+
+  return cards
+    .filter(card => card.title)
+    .map(({ jobId, title, after }) => {
+      const company = companies.get(jobId);
+      const card = readCardLines(after, { company });
+      const equity = card.salary ? card.salary.match(EQUITY) : null;
+
+      return {
+        id: `wellfound-${jobId}`,
+        jobId,
+        title,
+        company: card.company || 'Startup',
+        location: card.location || 'Not specified',
+        locations: parseLocations(card.location),
+        salary: card.salary ? card.salary.split('•')[0].trim() : null,
+        compensation: parseCompensation(card.salary),
+        equity: equity ? equity[0] : null,
+        url: `https://wellfound.com/jobs/${jobId}`,
+      };
+    });
+}
+
+module.exports = {
+  name: 'wellfound',
+  displayName: 'Wellfound',
+  color: 0x000000,
+  senders: ['team@hi.wellfound.com'],
+  parse,
+};
@@ -0,0 +1,164 @@
+/**
+ * Ashby Job Board Scraper
+ *
+ * Uses Ashby's public posting API to fetch job postings
+ */
+
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation, fromAshbyCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanySlugs } = require('../utils/companies');
+const { filterJobs } = require('../services/filter');
+const listings = require('../services/listings');
+
+const API_URL = 'https://api.ashbyhq.com/posting-api/job-board';
+
+// Ashby employmentType values
+const EMPLOYMENT_TYPES = {
+  FullTime: 'Full-time',
+  PartTime: 'Part-time',
+  Intern: 'Internship',
+  Contract: 'Contract',
+  Temporary: 'Temporary',
+};
+
+/**
+ * Fetch jobs from an Ashby company via API
+ * @param {string} company - Company slug (e.g., 'openai', 'linear')
+ * @returns {Array} Array of job objects
+ */
+async function scrapeCompany(company) {
+  const url = `${API_URL}/${company}?includeCompensation=true`;
+  const jobs = [];
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      logger.warn(`Ashby: Could not fetch ${company} (${response.status})`);
+      return jobs;
+    }
+
+    const data = await response.json();
+    // Unlisted postings are only reachable by direct link
+    const jobList = (data.jobs || []).filter(job => job.isListed !== false);
+
+    for (const job of jobList) {
+      const description = job.descriptionPlain || htmlToText(job.descriptionHtml);
+
+      jobs.push({
+        id: `ashby-${company}-${job.id}`,
+        title: job.title || 'Unknown Title',
+        company: formatCompanyName(company),
+        location: job.location || 'Not specified',
+        locations: parseLocations(
+          [
+            describeAddress(job.location, job.address),
+            ...(job.secondaryLocations || []).map(loc => describeAddress(loc.location, loc.address)),
+          ],
+          { workplaceType: job.workplaceType || (job.isRemote ? 'remote' : null) }
+        ),
+        team: job.team || job.department || null,
+        commitment: EMPLOYMENT_TYPES[job.employmentType] || null,
+        description: description || null,
+        compensation: fromAshbyCompensation(job.compensation)
+          || parseCompensation(job.compensation?.scrapeableCompensationSalarySummary)
+          || parseCompensation(description),
+        equity: getEquity(job.compensation),
+        url: job.jobUrl || `https://jobs.ashbyhq.com/${company}/${job.id}`,
+        source: 'Ashby',
+        board: `ashby:${company}`,
+        scrapedAt: new Date().toISOString(),
+      });
+    }
+
+    // Every job on the board, so closed postings can be detected
+    listings.recordBoard(`ashby:${company}`, jobs.map(job => job.id));
+
+    logger.debug(`Ashby: Found ${jobs.length} jobs at ${company}`);
+  } catch (error) {
+    logger.error(`Ashby: Error scraping ${company}:`, error.message);
+  }
+
+  return jobs;
+}
+
+/**
+ * Combine a location name with its postal address for parsing
+ * ("Remote" + "United States" -> "Remote, United States")
+ * @param {string} name - Ashby location name
+ * @param {Object} address - Ashby address ({ postalAddress })
+ * @returns {string} Location text
+ */
+function describeAddress(name, address) {
+  const postal = address?.postalAddress || {};
+  const parts = [name, postal.addressLocality, postal.addressRegion, postal.addressCountry]
+    .filter(Boolean);
+  return [...new Set(parts)].join(', ');
+}
+
+/**
+ * Get the equity summary from an Ashby compensation object
+ * @param {Object} compensation - Ashby compensation
+ * @returns {string|null} Equity summary (e.g. "0.1% – 0.25%") or null
+ */
+function getEquity(compensation) {
+  const equity = (compensation?.summaryComponents || [])
+    .find(component => /^Equity/.test(component.compensationType || ''));
+  return equity?.summary || null;
+}
+
+/**
+ * Format company slug to proper name
+ * @param {string} slug - Company slug
+ * @returns {string} Formatted company name
+ */
+function formatCompanyName(slug) {
+  const nameMap = {
+    'openai': 'OpenAI',
+    'cohere': 'Cohere',
+    'elevenlabs': 'ElevenLabs',
+    'linear': 'Linear',
+    'notion': 'Notion',
+    'ramp': 'Ramp',
+  };
+  return nameMap[slug] || slug.charAt(0).toUpperCase() + slug.slice(1);
+}
+
+/**
+ * Scrape all configured Ashby companies
+ * @returns {Array} Array of job objects from all companies
+ */
+async function scrape() {
+  const companies = getCompanySlugs('ashby');
+
+  if (companies.length === 0) {
+    logger.debug('Ashby: No companies configured');
+    return [];
+  }
+
+  logger.info(`Ashby: Scraping ${companies.length} companies...`);
+
+  // Scrape all companies in parallel
+  const results = await Promise.all(
+    companies.map(company => scrapeCompany(company))
+  );
+
+  // Flatten results and filter
+  const allJobs = results.flat();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`Ashby: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'ashby',
+  displayName: 'Ashby',
+  color: 0x7B61FF,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
+  scrape,
+  scrapeCompany,
+};
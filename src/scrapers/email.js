@@ -0,0 +1,63 @@
+/**
+ * Alert Email Scraper
+ *
+ * Reads job alert emails from your inbox (services/mailbox), or from dropped
+ * email files in import mode (services/maildrop), and parses each with the
+ * parser for its sender (src/parsers). Every enabled parser's senders are
+ * searched together, over one connection.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { filterJobs } = require('../services/filter');
+const mailbox = require('../services/mailbox');
+const maildrop = require('../services/maildrop');
+const parsers = require('../parsers');
+
+/**
+ * Parse new job alert emails
+ * @returns {Promise<Array>} Array of job objects
+ */
+function parse() {
+  // Dropped files go to the parser for their sender; files no parser
+  // recognizes are set aside as failed
+  if (config.email.mode === 'import') {
+    return maildrop.processNew(parsers.parseEmail, email => !!parsers.findForEmail(email));
+  }
+
+  const senders = parsers.getSenders();
+  if (senders.length === 0) {
+    logger.debug('Email: No alert parsers enabled');
+    return Promise.resolve([]);
+  }
+  return mailbox.processNew(senders, parsers.parseEmail);
+}
+
+/**
+ * Main parse function
+ * @returns {Promise<Array>} Array of filtered job objects
+ */
+async function scrape() {
+  logger.info('Email: Checking job alert emails...');
+
+  const allJobs = await parse();
+  // Alerts are already searched by role, so only apply exclusions
+  const filteredJobs = filterJobs(allJobs, { checks: ['exclude'] });
+
+  logger.info(`Email: Found ${filteredJobs.length} jobs from emails`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'email',
+  displayName: 'Email Alerts',
+  color: 0x4F5D75,
+  // Jobs are tagged with the parser's source (LinkedIn, Indeed, ...)
+  sources: parsers.getAll().map(({ displayName, color }) => ({ name: displayName, color })),
+  // Checks the inbox on its own schedule (config.schedule.email overrides);
+  // with config.email.idle, new alerts are also read as they arrive
+  defaultSchedule: '*/30 * * * *',
+  parse,
+  scrape,
+};
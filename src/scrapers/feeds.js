@@ -0,0 +1,238 @@
+/**
+ * Job Feed Scraper
+ *
+ * Reads the RSS, Atom and JSON Feed URLs in config.feeds. Each feed maps its
+ * items to job fields with rules (see config.feeds); fields without a rule use
+ * the format's usual element (RSS <title>, Atom <link href>, JSON Feed "url").
+ * Feeds are fetched with conditional GET, so an unchanged feed costs a 304.
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { filterJobs } = require('../services/filter');
+
+// Rules used when a feed doesn't set its own, by format
+const DEFAULT_FIELDS = {
+  rss: {
+    id: ['guid', 'link'],
+    title: 'title',
+    link: 'link',
+    description: ['content:encoded', 'description'],
+  },
+  atom: {
+    id: 'id',
+    title: 'title',
+    link: ['link[rel="alternate"]@href', 'link@href'],
+    description: ['content', 'summary'],
+  },
+  json: {
+    id: ['id', 'url'],
+    title: 'title',
+    link: ['url', 'external_url'],
+    description: ['content_html', 'content_text', 'summary'],
+  },
+};
+
+// Validators and jobs from each feed's last full response, by URL
+const cache = new Map();
+
+/**
+ * Read a value from a feed item by path.
+ * XML paths are a selector within the item, with an optional @attribute
+ * ('job:location', 'link@href'); JSON paths are dotted keys ('_job.company').
+ * @param {Object} item - { format, $, element } for XML, { format, data } for JSON
+ * @param {string} path - Path
+ * @returns {string|null} Value or null
+ */
+function readPath(item, path) {
+  if (item.format === 'json') {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? obj : obj[key]), item.data);
+    return value == null || typeof value === 'object' ? null : String(value);
+  }
+
+  const [selector, attribute] = path.split('@');
+  // Namespaced tags ('job:location') need their colon escaped
+  const $element = item.element.find(selector.replace(/(\w):(?=\w)/g, '$1\\:')).first();
+  if ($element.length === 0) {
+    return null;
+  }
+  return (attribute ? $element.attr(attribute) : $element.text()) || null;
+}
+
+/**
+ * Apply a field rule to a feed item
+ * @param {Object} item - Feed item
+ * @param {string|Object|Array} rule - Path, { path, pattern } or { value },
+ *   or a list of rules where the first with a value wins
+ * @returns {string|null} Trimmed value or null
+ */
+function readField(item, rule) {
+  if (!rule) {
+    return null;
+  }
+  if (Array.isArray(rule)) {
+    for (const entry of rule) {
+      const value = readField(item, entry);
+      if (value) {
+        return value;
+      }
+    }
+    return null;
+  }
+  if (typeof rule === 'string') {
+    return readPath(item, rule)?.trim() || null;
+  }
+  if (rule.value != null) {
+    return String(rule.value);
+  }
+
+  const value = readPath(item, rule.path);
+  if (!value || !rule.pattern) {
+    return value?.trim() || null;
+  }
+  // The first capture group, or the whole match
+  const match = value.match(new RegExp(rule.pattern, 'i'));
+  return match ? (match[1] ?? match[0]).trim() || null : null;
+}
+
+/**
+ * Split a feed body into items
+ * @param {string} body - Response body
+ * @returns {Array} Feed items ({ format, ... } for readField)
+ */
+function parseFeed(body) {
+  if (body.trimStart().startsWith('{')) {
+    const data = JSON.parse(body);
+    return (data.items || []).map(item => ({ format: 'json', data: item }));
+  }
+
+  const $ = cheerio.load(body, { xml: true });
+  const format = $('feed').length > 0 ? 'atom' : 'rss';
+  return $(format === 'atom' ? 'entry' : 'item')
+    .map((_, element) => ({ format, $, element: $(element) }))
+    .get();
+}
+
+/**
+ * Build a job object from a feed item
+ * @param {Object} feed - Feed config
+ * @param {Object} item - Feed item
+ * @returns {Object|null} Job object, or null without a title and link
+ */
+function buildJob(feed, item) {
+  const fields = { ...DEFAULT_FIELDS[item.format], ...feed.fields };
+  const title = readField(item, fields.title);
+  const link = readField(item, fields.link);
+  if (!title || !link) {
+    return null;
+  }
+
+  const itemId = readField(item, fields.id) || link;
+  const location = readField(item, fields.location);
+  const salary = readField(item, fields.salary);
+  const description = htmlToText(readField(item, fields.description));
+
+  return {
+    id: `feed-${crypto.createHash('sha1').update(`${feed.url}|${itemId}`).digest('hex').slice(0, 16)}`,
+    title,
+    company: readField(item, fields.company) || feed.company || feed.name || 'Unknown Company',
+    location: location || 'Not specified',
+    locations: parseLocations(location),
+    description: description || null,
+    salary,
+    compensation: parseCompensation(salary) || parseCompensation(description),
+    url: link,
+    source: 'Job Feeds',
+    scrapedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fetch jobs from one feed
+ * @param {Object} feed - Feed config ({ url, name, company, fields })
+ * @returns {Array} Array of job objects
+ */
+async function scrapeFeed(feed) {
+  const label = feed.name || feed.url;
+  const cached = cache.get(feed.url);
+  const headers = { 'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8' };
+
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  try {
+    const response = await fetch(feed.url, { headers });
+
+    // Unchanged since the last fetch: the same jobs are still listed
+    if (response.status === 304 && cached) {
+      logger.debug(`Feeds: ${label} not modified`);
+      return cached.jobs;
+    }
+    if (!response.ok) {
+      logger.warn(`Feeds: Could not fetch ${label} (${response.status})`);
+      return [];
+    }
+
+    const items = parseFeed(await response.text());
+    const jobs = items.map(item => buildJob(feed, item)).filter(Boolean);
+
+    cache.set(feed.url, {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      jobs,
+    });
+
+    logger.debug(`Feeds: Found ${jobs.length} jobs in ${label} (${items.length} items)`);
+    return jobs;
+  } catch (error) {
+    logger.error(`Feeds: Error reading ${label}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Scrape all configured feeds
+ * @returns {Array} Array of job objects from all feeds
+ */
+async function scrape() {
+  const feeds = config.feeds || [];
+
+  if (feeds.length === 0) {
+    logger.debug('Feeds: No feeds configured');
+    return [];
+  }
+
+  logger.info(`Feeds: Reading ${feeds.length} feeds...`);
+
+  // Read all feeds in parallel
+  const results = await Promise.all(
+    feeds.map(feed => scrapeFeed(feed))
+  );
+
+  // Flatten results and filter
+  const allJobs = results.flat();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`Feeds: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'feeds',
+  displayName: 'Job Feeds',
+  color: 0xEE802F,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
+  scrape,
+  scrapeFeed,
+};
@@ -4,8 +4,13 @@
  * Uses Greenhouse's JSON API to fetch job postings
  */
 
-const config = require('../config');
 const logger = require('../utils/logger');
+const { htmlToText, decodeEntities } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanySlugs } = require('../utils/companies');
+const { filterJobs } = require('../services/filter');
+const listings = require('../services/listings');
 
 const API_URL = 'https://boards-api.greenhouse.io/v1/boards';
 
@@ -15,7 +20,8 @@ const API_URL = 'https://boards-api.greenhouse.io/v1/boards';
  * @returns {Array} Array of job objects
  */
 async function scrapeCompany(company) {
-  const url = `${API_URL}/${company}/jobs`;
+  // content=true includes the full job description
+  const url = `${API_URL}/${company}/jobs?content=true`;
   const jobs = [];
 
   try {
@@ -29,18 +35,34 @@ async function scrapeCompany(company) {
     const jobList = data.jobs || [];
 
     for (const job of jobList) {
+      const description = htmlToText(decodeEntities(job.content));
+
       jobs.push({
         id: `greenhouse-${company}-${job.id}`,
         title: job.title || 'Unknown Title',
         company: formatCompanyName(company),
         location: job.location?.name || 'Not specified',
+        // Offices have fuller locations ("San Francisco, CA, United States")
+        // while the location name may say "Remote" or "Hybrid"
+        locations: parseLocations([
+          job.location?.name,
+          ...(job.offices || []).map(office => office.location || office.name),
+        ]),
         department: job.departments?.[0]?.name || null,
+        // Content is entity-encoded HTML
+        description: description || null,
+        // Pay transparency ranges are part of the content
+        compensation: parseCompensation(description),
         url: job.absolute_url || `https://boards.greenhouse.io/${company}/jobs/${job.id}`,
         source: 'Greenhouse',
+        board: `greenhouse:${company}`,
         scrapedAt: new Date().toISOString(),
       });
     }
 
+    // Every job on the board, so closed postings can be detected
+    listings.recordBoard(`greenhouse:${company}`, jobs.map(job => job.id));
+
     logger.debug(`Greenhouse: Found ${jobs.length} jobs at ${company}`);
   } catch (error) {
     logger.error(`Greenhouse: Error scraping ${company}:`, error.message);
@@ -94,41 +116,12 @@ function formatCompanyName(slug) {
   return nameMap[slug] || slug.charAt(0).toUpperCase() + slug.slice(1);
 }
 
-/**
- * Filter jobs based on config filters
- * @param {Array} jobs - Array of job objects
- * @returns {Array} Filtered jobs
- */
-function filterJobs(jobs) {
-  const { roles, locations, exclude } = config.filters;
-
-  return jobs.filter(job => {
-    const titleLower = job.title.toLowerCase();
-    const locationLower = (job.location || '').toLowerCase();
-
-    // Check if job matches any role filter
-    const matchesRole = roles.length === 0 || 
-      roles.some(role => titleLower.includes(role.toLowerCase()));
-
-    // Check if job matches any location filter
-    const matchesLocation = locations.length === 0 ||
-      locations.some(loc => locationLower.includes(loc.toLowerCase()));
-
-    // Check if job should be excluded
-    const shouldExclude = exclude.some(term => 
-      titleLower.includes(term.toLowerCase())
-    );
-
-    return matchesRole && matchesLocation && !shouldExclude;
-  });
-}
-
 /**
  * Scrape all configured Greenhouse companies
  * @returns {Array} Array of job objects from all companies
  */
 async function scrape() {
-  const companies = config.companies.greenhouse || [];
+  const companies = getCompanySlugs('greenhouse');
   
   if (companies.length === 0) {
     logger.debug('Greenhouse: No companies configured');
@@ -152,7 +145,11 @@ async function scrape() {
 }
 
 module.exports = {
+  name: 'greenhouse',
+  displayName: 'Greenhouse',
+  color: 0x3AB549,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
   scrape,
   scrapeCompany,
-  filterJobs,
 };
@@ -0,0 +1,233 @@
+/**
+ * Hacker News "Who is Hiring" Scraper
+ *
+ * Reads the monthly "Ask HN: Who is hiring?" thread through the Algolia HN API
+ * and parses each top-level comment. Posts conventionally start with a header
+ * line like "Acme | Senior Engineer | Remote (US) | $150k-$180k | https://acme.com/jobs",
+ * which is split on pipes and each part guessed as a title, location, salary or link.
+ */
+
+const cheerio = require('cheerio');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { filterJobs } = require('../services/filter');
+
+const API_URL = 'https://hn.algolia.com/api/v1';
+const ITEM_URL = 'https://news.ycombinator.com/item?id=';
+
+// Threads are posted by the whoishiring account, alongside "Who wants to be hired?"
+const THREAD_TITLE = /^Ask HN: Who is hiring\?/i;
+
+// Words that mark a header part as a job title
+const ROLE_WORDS = /\b(?:engineers?|developers?|designers?|managers?|scientists?|architects?|analysts?|researchers?|directors?|leads?|head of|founding|sre|devops|recruiters?|marketing|sales|product|specialists?|consultants?|representatives?|executives?|vp|cto|interns?|account|solutions?|support|success|operations|ops)\b/i;
+// Employment types in a header
+const COMMITMENTS = [
+  [/\bfull[- ]?time\b/i, 'Full-time'],
+  [/\bpart[- ]?time\b/i, 'Part-time'],
+  [/\bcontract(?:or)?\b/i, 'Contract'],
+  [/\binternships?\b/i, 'Internship'],
+];
+// Header parts that are a workplace type, with or without a place
+const WORKPLACE_WORDS = /\b(?:remote|hybrid|on-?site|in[- ]office)\b/i;
+// Links that look like an application page rather than a homepage
+const APPLY_LINK = /apply|careers?|jobs|greenhouse\.io|lever\.co|ashbyhq\.com|workable\.com|smartrecruiters\.com|myworkdayjobs\.com/i;
+const URL_PART = /^(?:https?:\/\/|www\.)\S+$|^[\w-]+(?:\.[\w-]+)+(?:\/\S*)?$/i;
+
+/**
+ * Find the latest "Who is hiring?" thread
+ * @returns {Promise<string|null>} Story ID or null
+ */
+async function findLatestThread() {
+  const response = await fetch(`${API_URL}/search_by_date?tags=story,author_whoishiring&hitsPerPage=10`);
+  if (!response.ok) {
+    throw new Error(`could not search threads (${response.status})`);
+  }
+
+  const data = await response.json();
+  const thread = (data.hits || []).find(hit => THREAD_TITLE.test(hit.title || ''));
+  return thread ? thread.objectID : null;
+}
+
+/**
+ * Fetch a thread with its comments
+ * @param {string} threadId - Story ID
+ * @returns {Promise<Object>} Algolia item ({ id, title, children })
+ */
+async function fetchThread(threadId) {
+  const response = await fetch(`${API_URL}/items/${threadId}`);
+  if (!response.ok) {
+    throw new Error(`could not fetch thread ${threadId} (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Check whether a header part is a place.
+ * Unknown words parse as a city ("VISA"), so a place must have a known
+ * region or country, or come with a workplace type ("Remote (Europe)").
+ * @param {string} part - Header part
+ * @returns {boolean} True if it looks like a place
+ */
+function isPlace(part) {
+  return parseLocations(part).some(loc => loc.region || loc.country || (loc.city && WORKPLACE_WORDS.test(part)));
+}
+
+/**
+ * Pick the link most likely to be the application page
+ * @param {Array} links - URLs in the order they appear
+ * @returns {string|null} URL or null
+ */
+function pickApplyLink(links) {
+  return links.find(link => APPLY_LINK.test(link)) || links[0] || null;
+}
+
+/**
+ * Parse a top-level comment into a job
+ * @param {Object} comment - Algolia comment ({ id, text, author })
+ * @returns {Object|null} Job object, or null if it doesn't follow the header format
+ */
+function parseComment(comment) {
+  if (!comment?.text) {
+    return null;
+  }
+
+  // The first paragraph (the header) isn't wrapped in <p>
+  const description = htmlToText(`<p>${comment.text}`);
+  const [header = ''] = description.split('\n');
+  const [company, ...parts] = header.split('|').map(part => part.trim()).filter(Boolean);
+  if (!company || parts.length === 0) {
+    return null;
+  }
+
+  const titles = [];
+  const places = [];
+  const workplaces = [];
+  const links = [];
+  let compensation = null;
+  let commitment = null;
+  let other = null;
+
+  for (const part of parts) {
+    if (URL_PART.test(part)) {
+      links.push(part.startsWith('http') ? part : `https://${part}`);
+      continue;
+    }
+
+    const salary = parseCompensation(part);
+    if (salary) {
+      compensation = compensation || salary;
+      continue;
+    }
+
+    if (ROLE_WORDS.test(part)) {
+      titles.push(part);
+      continue;
+    }
+
+    if (isPlace(part)) {
+      places.push(part);
+      continue;
+    }
+
+    // "REMOTE" or "Onsite (Europe)" without a known place applies to the places listed
+    if (WORKPLACE_WORDS.test(part)) {
+      workplaces.push(part);
+      continue;
+    }
+
+    const type = COMMITMENTS.find(([pattern]) => pattern.test(part));
+    if (type) {
+      commitment = commitment || type[1];
+      continue;
+    }
+
+    // Visa notes, funding stage, etc.; the first one may be an unusual title
+    other = other || part;
+  }
+
+  const title = titles.length > 0 ? titles.join(', ') : other;
+  if (!title) {
+    return null;
+  }
+
+  const $ = cheerio.load(comment.text);
+  const bodyLinks = $('a[href]').map((_, element) => $(element).attr('href')).get();
+  const workplaceType = parseLocations(workplaces)[0]?.workplaceType;
+
+  return {
+    id: `hn-${comment.id}`,
+    // "Acme (YC W21) (https://acme.com)" -> "Acme (YC W21)"
+    company: company.replace(/\s*\((?:https?:\/\/|www\.)[^)]*\)/gi, '').trim(),
+    title,
+    location: [...places, ...workplaces].join('; ') || 'Not specified',
+    locations: places.length > 0 ? parseLocations(places, { workplaceType }) : parseLocations(workplaces),
+    commitment,
+    description,
+    compensation: compensation || parseCompensation(description),
+    url: pickApplyLink([...bodyLinks, ...links]) || `${ITEM_URL}${comment.id}`,
+    source: 'Hacker News',
+    scrapedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Scrape jobs from a "Who is hiring?" thread
+ * @param {string} [threadId] - Story ID (defaults to config, then the latest thread)
+ * @returns {Array} Array of job objects
+ */
+async function scrapeThread(threadId = config.hackerNews.threadId) {
+  const jobs = [];
+
+  try {
+    const id = threadId || await findLatestThread();
+    if (!id) {
+      logger.warn('Hacker News: No "Who is hiring?" thread found');
+      return jobs;
+    }
+
+    const thread = await fetchThread(id);
+    const comments = thread.children || [];
+
+    comments.forEach(comment => {
+      const job = parseComment(comment);
+      if (job) {
+        jobs.push(job);
+      }
+    });
+
+    logger.debug(`Hacker News: Parsed ${jobs.length} of ${comments.length} posts in ${thread.title || id}`);
+  } catch (error) {
+    logger.error('Hacker News: Error scraping:', error.message);
+  }
+
+  return jobs;
+}
+
+/**
+ * Main scrape function
+ * @returns {Array} Array of filtered job objects
+ */
+async function scrape() {
+  logger.info('Hacker News: Scraping "Who is hiring?" thread...');
+
+  const allJobs = await scrapeThread();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`Hacker News: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'hackernews',
+  displayName: 'Hacker News',
+  color: 0xF0652F,
+  // The thread fills up over a few days each month
+  defaultSchedule: '0 */6 * * *',
+  scrape,
+  scrapeThread,
+  parseComment,
+};
@@ -0,0 +1,196 @@
+/**
+ * Scraper Registry
+ *
+ * Loads every scraper module in this directory, plus any in
+ * config.scrapers.directory. A scraper module exports a descriptor:
+ *
+ *   module.exports = {
+ *     name: 'greenhouse',          // Unique key, used in config.scrapers.enabled and config.schedule
+ *     displayName: 'Greenhouse',   // Shown in Discord; set as job.source
+ *     color: 0x3AB549,             // Embed color
+ *     defaultSchedule: null,       // Cron expression, or null to run with jobCheck
+ *     scrape: async () => [...],   // Returns filtered job objects
+ *   };
+ *
+ * A scraper whose jobs come from several sources (e.g. alert emails) lists
+ * them as sources: [{ name, color }] and sets each job.source to one of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Default embed color for scrapers that don't set one
+const DEFAULT_COLOR = 0x5865F2;
+
+// Loaded descriptors by name
+let scrapers = null;
+
+/**
+ * List the scraper module files in a directory
+ * @param {string} dir - Directory path
+ * @returns {Array} Absolute file paths
+ */
+function listModules(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Check a module's descriptor
+ * @param {Object} descriptor - Module exports
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validate(descriptor) {
+  if (!descriptor || typeof descriptor.name !== 'string' || !descriptor.name) {
+    return 'missing name';
+  }
+  if (typeof descriptor.scrape !== 'function') {
+    return 'missing scrape()';
+  }
+  if (descriptor.defaultSchedule != null && typeof descriptor.defaultSchedule !== 'string') {
+    return 'defaultSchedule must be a cron expression or null';
+  }
+  if (descriptor.sources != null && !Array.isArray(descriptor.sources)) {
+    return 'sources must be a list of { name, color }';
+  }
+  return null;
+}
+
+/**
+ * Load a scraper module and add it to the registry
+ * @param {string} file - Module path
+ */
+function register(file) {
+  let descriptor;
+  try {
+    descriptor = require(file);
+  } catch (error) {
+    logger.error(`Scrapers: Failed to load ${file}:`, error.message);
+    return;
+  }
+
+  const problem = validate(descriptor);
+  if (problem) {
+    logger.error(`Scrapers: Skipping ${file}: ${problem}`);
+    return;
+  }
+  if (scrapers.has(descriptor.name)) {
+    logger.error(`Scrapers: Skipping ${file}: a scraper named ${descriptor.name} is already loaded`);
+    return;
+  }
+
+  const displayName = descriptor.displayName || descriptor.name;
+  const color = descriptor.color ?? DEFAULT_COLOR;
+
+  scrapers.set(descriptor.name, {
+    ...descriptor,
+    displayName,
+    color,
+    defaultSchedule: descriptor.defaultSchedule || null,
+    sources: (descriptor.sources || [{ name: displayName }])
+      .map(source => ({ name: source.name, color: source.color ?? color })),
+  });
+}
+
+/**
+ * Load the built-in and third-party scrapers (once)
+ * @returns {Map} Scraper descriptors by name
+ */
+function load() {
+  if (scrapers) {
+    return scrapers;
+  }
+
+  scrapers = new Map();
+  listModules(__dirname).forEach(register);
+
+  const { directory } = config.scrapers;
+  if (directory) {
+    const dir = path.resolve(__dirname, '../..', directory);
+    if (fs.existsSync(dir)) {
+      listModules(dir).forEach(register);
+    } else {
+      logger.warn(`Scrapers: Directory ${dir} not found`);
+    }
+  }
+
+  logger.debug(`Scrapers: Loaded ${[...scrapers.keys()].join(', ')}`);
+  return scrapers;
+}
+
+/**
+ * Check if a scraper is enabled in config.scrapers.enabled (default on)
+ * @param {string} name - Scraper name
+ * @returns {boolean} True if enabled
+ */
+function isEnabled(name) {
+  return config.scrapers.enabled[name] !== false;
+}
+
+/**
+ * Get every loaded scraper
+ * @returns {Array} Scraper descriptors
+ */
+function getAll() {
+  return [...load().values()];
+}
+
+/**
+ * Get the enabled scrapers
+ * @returns {Array} Scraper descriptors
+ */
+function getEnabled() {
+  return getAll().filter(scraper => isEnabled(scraper.name));
+}
+
+/**
+ * Get a scraper by name
+ * @param {string} name - Scraper name
+ * @returns {Object|null} Scraper descriptor or null
+ */
+function get(name) {
+  return load().get(name) || null;
+}
+
+/**
+ * Get a scraper by the source name on its jobs
+ * @param {string} displayName - Source name (e.g. 'Y Combinator')
+ * @returns {Object|null} Scraper descriptor or null
+ */
+function getBySource(displayName) {
+  return getAll().find(scraper => scraper.displayName === displayName)
+    || getAll().find(scraper => scraper.sources.some(source => source.name === displayName))
+    || null;
+}
+
+/**
+ * Get every source name jobs can have, with its embed color.
+ * A scraper named after a source comes before others that share it.
+ * @returns {Array} [{ name, color }], each name once
+ */
+function getSources() {
+  const sources = new Map();
+  const all = getAll().flatMap(scraper => scraper.sources.map(source => ({ scraper, source })));
+  const [own, shared] = [true, false].map(isOwn => all.filter(({ scraper, source }) => (source.name === scraper.displayName) === isOwn));
+
+  [...own, ...shared].forEach(({ source }) => {
+    if (!sources.has(source.name)) {
+      sources.set(source.name, source);
+    }
+  });
+  return [...sources.values()];
+}
+
+module.exports = {
+  load,
+  isEnabled,
+  getAll,
+  getEnabled,
+  get,
+  getBySource,
+  getSources,
+};
@@ -4,8 +4,13 @@
  * Uses Lever's JSON API to fetch job postings
  */
 
-const config = require('../config');
 const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation, fromLeverSalaryRange } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanySlugs } = require('../utils/companies');
+const { filterJobs } = require('../services/filter');
+const listings = require('../services/listings');
 
 const API_URL = 'https://api.lever.co/v0/postings';
 
@@ -28,19 +33,34 @@ async function scrapeCompany(company) {
     const data = await response.json();
     
     for (const job of data) {
+      const description = buildDescription(job);
+
       jobs.push({
         id: `lever-${company}-${job.id}`,
         title: job.text || 'Unknown Title',
         company: formatCompanyName(company),
         location: job.categories?.location || 'Not specified',
+        // allLocations lists every office for multi-location postings
+        locations: parseLocations(
+          job.categories?.allLocations?.length ? job.categories.allLocations : job.categories?.location,
+          { workplaceType: job.workplaceType }
+        ),
         team: job.categories?.team || null,
         commitment: job.categories?.commitment || null,
+        description: description || null,
+        compensation: fromLeverSalaryRange(job.salaryRange)
+          || parseCompensation(job.salaryDescriptionPlain)
+          || parseCompensation(description),
         url: job.hostedUrl || job.applyUrl || `https://jobs.lever.co/${company}/${job.id}`,
         source: 'Lever',
+        board: `lever:${company}`,
         scrapedAt: new Date().toISOString(),
       });
     }
 
+    // Every job on the board, so closed postings can be detected
+    listings.recordBoard(`lever:${company}`, jobs.map(job => job.id));
+
     logger.debug(`Lever: Found ${jobs.length} jobs at ${company}`);
   } catch (error) {
     logger.error(`Lever: Error scraping ${company}:`, error.message);
@@ -49,6 +69,27 @@ async function scrapeCompany(company) {
   return jobs;
 }
 
+/**
+ * Build a plain text description from a Lever posting
+ * (intro, then each list section such as requirements, then closing text)
+ * @param {Object} job - Lever posting
+ * @returns {string} Plain text description
+ */
+function buildDescription(job) {
+  const sections = [job.descriptionPlain || htmlToText(job.description)];
+
+  for (const list of job.lists || []) {
+    sections.push(`${list.text}\n${htmlToText(list.content)}`);
+  }
+
+  sections.push(job.additionalPlain || htmlToText(job.additional));
+
+  return sections
+    .map(section => (section || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
 /**
  * Format company slug to proper name
  * @param {string} slug - Company slug
@@ -65,41 +106,12 @@ function formatCompanyName(slug) {
   return nameMap[slug] || slug.charAt(0).toUpperCase() + slug.slice(1);
 }
 
-/**
- * Filter jobs based on config filters
- * @param {Array} jobs - Array of job objects
- * @returns {Array} Filtered jobs
- */
-function filterJobs(jobs) {
-  const { roles, locations, exclude } = config.filters;
-
-  return jobs.filter(job => {
-    const titleLower = job.title.toLowerCase();
-    const locationLower = (job.location || '').toLowerCase();
-
-    // Check if job matches any role filter
-    const matchesRole = roles.length === 0 || 
-      roles.some(role => titleLower.includes(role.toLowerCase()));
-
-    // Check if job matches any location filter
-    const matchesLocation = locations.length === 0 ||
-      locations.some(loc => locationLower.includes(loc.toLowerCase()));
-
-    // Check if job should be excluded
-    const shouldExclude = exclude.some(term => 
-      titleLower.includes(term.toLowerCase())
-    );
-
-    return matchesRole && matchesLocation && !shouldExclude;
-  });
-}
-
 /**
  * Scrape all configured Lever companies
  * @returns {Array} Array of job objects from all companies
  */
 async function scrape() {
-  const companies = config.companies.lever || [];
+  const companies = getCompanySlugs('lever');
   
   if (companies.length === 0) {
     logger.debug('Lever: No companies configured');
@@ -123,7 +135,11 @@ async function scrape() {
 }
 
 module.exports = {
+  name: 'lever',
+  displayName: 'Lever',
+  color: 0x1DB954,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
   scrape,
   scrapeCompany,
-  filterJobs,
 };
@@ -0,0 +1,202 @@
+/**
+ * SmartRecruiters Job Board Scraper
+ *
+ * Uses SmartRecruiters' public Posting API to fetch job postings. Full job
+ * ads are only fetched for new postings that pass the title and location filters.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanySlugs } = require('../utils/companies');
+const { filterJobs, evaluate } = require('../services/filter');
+const dedup = require('../services/dedup');
+const listings = require('../services/listings');
+
+const API_URL = 'https://api.smartrecruiters.com/v1/companies';
+
+// Postings per page (API maximum)
+const PAGE_SIZE = 100;
+// Job detail requests in flight per company
+const DETAIL_CONCURRENCY = 4;
+
+/**
+ * Fetch every posting summary for a company, following pagination
+ * @param {string} company - Company identifier
+ * @returns {Promise<Array>} Posting summaries
+ */
+async function fetchPostings(company) {
+  const postings = [];
+  let offset = 0;
+  let total = Infinity;
+
+  while (offset < total) {
+    const response = await fetch(`${API_URL}/${company}/postings?limit=${PAGE_SIZE}&offset=${offset}`);
+    if (!response.ok) {
+      throw new Error(`could not fetch postings (${response.status})`);
+    }
+
+    const data = await response.json();
+    const content = data.content || [];
+    total = data.totalFound || 0;
+    postings.push(...content);
+
+    if (content.length === 0) {
+      break;
+    }
+    offset += content.length;
+  }
+
+  return postings;
+}
+
+/**
+ * Fetch a posting's full job ad
+ * @param {string} company - Company identifier
+ * @param {string} postingId - Posting ID
+ * @returns {Promise<Object|null>} Posting details or null
+ */
+async function fetchDetails(company, postingId) {
+  try {
+    const response = await fetch(`${API_URL}/${company}/postings/${postingId}`);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    logger.debug(`SmartRecruiters: Could not fetch ${company}/${postingId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a plain text description from a job ad's sections
+ * @param {Object} details - Posting details
+ * @returns {string} Plain text description
+ */
+function buildDescription(details) {
+  const sections = details?.jobAd?.sections || {};
+
+  return ['companyDescription', 'jobDescription', 'qualifications', 'additionalInformation']
+    .map(key => sections[key])
+    .filter(section => section?.text)
+    .map(section => (section.title ? `${section.title}\n` : '') + htmlToText(section.text))
+    .join('\n\n');
+}
+
+/**
+ * Describe a SmartRecruiters location ("Austin, TX, US")
+ * @param {Object} location - { city, region, country, fullLocation }
+ * @returns {string} Location text
+ */
+function describeLocation(location = {}) {
+  return location.fullLocation
+    || [location.city, location.region, (location.country || '').toUpperCase()].filter(Boolean).join(', ');
+}
+
+/**
+ * Build a job object from a posting summary and its job ad
+ * @param {string} company - Company identifier
+ * @param {Object} posting - Posting summary
+ * @param {Object|null} details - Posting details (null if not fetched)
+ * @returns {Object} Job object
+ */
+function buildJob(company, posting, details) {
+  // Identifiers aren't case sensitive; the ID and board use one form
+  const key = company.toLowerCase();
+  const description = buildDescription(details);
+  const location = describeLocation(posting.location);
+  const { city, region, country, remote, hybrid } = posting.location || {};
+
+  return {
+    id: `smartrecruiters-${key}-${posting.id}`,
+    title: posting.name || 'Unknown Title',
+    company: posting.company?.name || company,
+    location: location || 'Not specified',
+    // Country is an ISO code ('ca' is Canada, not California)
+    locations: parseLocations([city, region].filter(Boolean).join(', '), {
+      workplaceType: remote ? 'remote' : hybrid ? 'hybrid' : null,
+      country,
+    }),
+    department: posting.department?.label || posting.function?.label || null,
+    commitment: posting.typeOfEmployment?.label || null,
+    description: description || null,
+    compensation: parseCompensation(description),
+    url: details?.postingUrl || `https://jobs.smartrecruiters.com/${company}/${posting.id}`,
+    source: 'SmartRecruiters',
+    board: `smartrecruiters:${key}`,
+    scrapedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fetch jobs from a SmartRecruiters company via API
+ * @param {string} company - Company identifier (e.g., 'ServiceNow')
+ * @returns {Array} Array of new job objects that may match the filters
+ */
+async function scrapeCompany(company) {
+  const jobs = [];
+
+  try {
+    const postings = await fetchPostings(company);
+    const listed = postings.map(posting => ({ posting, job: buildJob(company, posting, null) }));
+
+    // Every job on the board, so closed postings can be detected
+    listings.recordBoard(`smartrecruiters:${company.toLowerCase()}`, listed.map(({ job }) => job.id));
+
+    // Summaries have the title and location, enough to skip postings that
+    // can't match or are already tracked
+    const candidates = listed.filter(({ job }) =>
+      !dedup.isOpenJob(job.id) && evaluate(job, config.filters, ['roles', 'locations', 'exclude']).included
+    );
+
+    for (let i = 0; i < candidates.length; i += DETAIL_CONCURRENCY) {
+      const batch = candidates.slice(i, i + DETAIL_CONCURRENCY);
+      const details = await Promise.all(batch.map(({ posting }) => fetchDetails(company, posting.id)));
+      batch.forEach(({ posting }, index) => jobs.push(buildJob(company, posting, details[index])));
+    }
+
+    logger.debug(`SmartRecruiters: Found ${listed.length} jobs at ${company} (${jobs.length} new)`);
+  } catch (error) {
+    logger.error(`SmartRecruiters: Error scraping ${company}:`, error.message);
+  }
+
+  return jobs;
+}
+
+/**
+ * Scrape all configured SmartRecruiters companies
+ * @returns {Array} Array of job objects from all companies
+ */
+async function scrape() {
+  const companies = getCompanySlugs('smartrecruiters');
+
+  if (companies.length === 0) {
+    logger.debug('SmartRecruiters: No companies configured');
+    return [];
+  }
+
+  logger.info(`SmartRecruiters: Scraping ${companies.length} companies...`);
+
+  // Scrape all companies in parallel
+  const results = await Promise.all(
+    companies.map(company => scrapeCompany(company))
+  );
+
+  // Flatten results and filter
+  const allJobs = results.flat();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`SmartRecruiters: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'smartrecruiters',
+  displayName: 'SmartRecruiters',
+  color: 0x00A3E0,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
+  scrape,
+  scrapeCompany,
+};
@@ -7,6 +7,9 @@
 const cheerio = require('cheerio');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { filterJobs, getKeywords } = require('../services/filter');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
 
 const BASE_URL = 'https://wellfound.com';
 const JOBS_URL = `${BASE_URL}/jobs`;
@@ -16,7 +19,8 @@ const JOBS_URL = `${BASE_URL}/jobs`;
  * @returns {string} Search URL
  */
 function buildSearchUrl() {
-  const { roles, locations } = config.filters;
+  const roles = getKeywords(Object.values(config.filters.roles).flat());
+  const { remoteAnywhere, workplaceTypes = [] } = config.filters.locations;
   
   // Build query params
   const params = new URLSearchParams();
@@ -26,8 +30,8 @@ function buildSearchUrl() {
     params.set('q', roles[0]); // Use first role as search term
   }
   
-  // Add remote filter if remote is in locations
-  if (locations.some(loc => loc.toLowerCase() === 'remote')) {
+  // Add remote filter if remote jobs are wanted
+  if (remoteAnywhere || workplaceTypes.includes('remote')) {
     params.set('remote', 'true');
   }
 
@@ -86,7 +90,9 @@ async function scrapeJobs() {
             title,
             company: company || 'Startup',
             location: location || 'Not specified',
+            locations: parseLocations(location),
             salary: salary || null,
+            compensation: parseCompensation(salary),
             equity: equity || null,
             url: jobUrl.startsWith('http') ? jobUrl : `${BASE_URL}${jobUrl}`,
             source: 'Wellfound',
@@ -105,6 +111,7 @@ async function scrapeJobs() {
         const $link = $el.find('a[href*="/jobs/"], a[href*="/role/"]').first();
         const jobUrl = $link.attr('href');
         const location = $el.find('[class*="location"]').text().trim();
+        const salary = $el.find('[class*="salary"], [class*="compensation"]').first().text().trim();
 
         if (title && jobUrl) {
           const jobId = jobUrl.split('/').pop() || Date.now();
@@ -113,6 +120,9 @@ async function scrapeJobs() {
             title,
             company: company || 'Startup',
             location: location || 'Not specified',
+            locations: parseLocations(location),
+            salary: salary || null,
+            compensation: parseCompensation(salary),
             url: jobUrl.startsWith('http') ? jobUrl : `${BASE_URL}${jobUrl}`,
             source: 'Wellfound',
             scrapedAt: new Date().toISOString(),
@@ -129,35 +139,6 @@ async function scrapeJobs() {
   return jobs;
 }
 
-/**
- * Filter jobs based on config filters
- * @param {Array} jobs - Array of job objects
- * @returns {Array} Filtered jobs
- */
-function filterJobs(jobs) {
-  const { roles, locations, exclude } = config.filters;
-
-  return jobs.filter(job => {
-    const titleLower = job.title.toLowerCase();
-    const locationLower = (job.location || '').toLowerCase();
-
-    // Check if job matches any role filter
-    const matchesRole = roles.length === 0 || 
-      roles.some(role => titleLower.includes(role.toLowerCase()));
-
-    // Check if job matches any location filter  
-    const matchesLocation = locations.length === 0 ||
-      locations.some(loc => locationLower.includes(loc.toLowerCase()));
-
-    // Check if job should be excluded
-    const shouldExclude = exclude.some(term => 
-      titleLower.includes(term.toLowerCase())
-    );
-
-    return matchesRole && matchesLocation && !shouldExclude;
-  });
-}
-
 /**
  * Main scrape function
  * @returns {Array} Array of filtered job objects
@@ -174,8 +155,12 @@ async function scrape() {
 }
 
 module.exports = {
+  name: 'wellfound',
+  displayName: 'Wellfound',
+  color: 0x000000,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
   scrape,
   scrapeJobs,
-  filterJobs,
 };
 
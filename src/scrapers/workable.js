@@ -0,0 +1,221 @@
+/**
+ * Workable Job Board Scraper
+ *
+ * Uses the JSON API behind apply.workable.com career pages. Descriptions are
+ * only fetched for new jobs that pass the title and location filters.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanySlugs } = require('../utils/companies');
+const { filterJobs, evaluate } = require('../services/filter');
+const dedup = require('../services/dedup');
+const listings = require('../services/listings');
+
+const BASE_URL = 'https://apply.workable.com';
+
+// Pages fetched per company (guards against a looping page token)
+const MAX_PAGES = 50;
+// Job detail requests in flight per company
+const DETAIL_CONCURRENCY = 4;
+
+// Workable job types
+const JOB_TYPES = {
+  full: 'Full-time',
+  part: 'Part-time',
+  contract: 'Contract',
+  temporary: 'Temporary',
+  internship: 'Internship',
+};
+
+/**
+ * Fetch every job summary for an account, following page tokens
+ * @param {string} company - Account slug
+ * @returns {Promise<Array>} Job summaries
+ */
+async function fetchJobList(company) {
+  const jobs = [];
+  let token = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await fetch(`${BASE_URL}/api/v3/accounts/${company}/jobs`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      body: JSON.stringify({ query: '', location: [], department: [], worktype: [], remote: [], ...(token && { token }) }),
+    });
+    if (!response.ok) {
+      throw new Error(`could not fetch jobs (${response.status})`);
+    }
+
+    const data = await response.json();
+    jobs.push(...(data.results || []));
+
+    token = data.nextPage;
+    if (!token) {
+      return jobs;
+    }
+  }
+
+  throw new Error(`more than ${MAX_PAGES} pages of jobs`);
+}
+
+/**
+ * Fetch a job's description
+ * @param {string} company - Account slug
+ * @param {string} shortcode - Job shortcode
+ * @returns {Promise<Object|null>} Job details or null
+ */
+async function fetchDetails(company, shortcode) {
+  try {
+    const response = await fetch(`${BASE_URL}/api/v2/accounts/${company}/jobs/${shortcode}`);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    logger.debug(`Workable: Could not fetch ${company}/${shortcode}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a plain text description from job details
+ * @param {Object} details - Job details
+ * @returns {string} Plain text description
+ */
+function buildDescription(details) {
+  return ['description', 'requirements', 'benefits']
+    .map(key => htmlToText(details?.[key]).trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Describe a Workable location ("Athens, Attica, Greece")
+ * @param {Object} location - { city, region, country }
+ * @returns {string} Location text
+ */
+function describeLocation(location = {}) {
+  return [location.city, location.region, location.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Build a job object from a job summary and its details
+ * @param {string} company - Account slug
+ * @param {Object} summary - Job summary
+ * @param {Object|null} details - Job details (null if not fetched)
+ * @returns {Object} Job object
+ */
+function buildJob(company, summary, details) {
+  const description = buildDescription(details);
+  const places = summary.locations?.length ? summary.locations : [summary.location || {}];
+  // 'on_site', 'hybrid' or 'remote'
+  const workplaceType = (summary.workplace || (summary.remote ? 'remote' : '')).replace('_', '-');
+
+  return {
+    id: `workable-${company}-${summary.shortcode}`,
+    title: summary.title || 'Unknown Title',
+    company: formatCompanyName(company),
+    location: describeLocation(summary.location) || 'Not specified',
+    locations: places.flatMap(place => parseLocations(
+      [place.city, place.region, !place.countryCode && place.country].filter(Boolean).join(', '),
+      { workplaceType, country: place.countryCode }
+    )),
+    department: [].concat(summary.department || [])[0] || null,
+    commitment: JOB_TYPES[summary.type] || null,
+    description: description || null,
+    compensation: parseCompensation(description),
+    url: `${BASE_URL}/${company}/j/${summary.shortcode}/`,
+    source: 'Workable',
+    board: `workable:${company}`,
+    scrapedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fetch jobs from a Workable account via API
+ * @param {string} company - Account slug from apply.workable.com/[company]
+ * @returns {Array} Array of new job objects that may match the filters
+ */
+async function scrapeCompany(company) {
+  const jobs = [];
+
+  try {
+    const list = await fetchJobList(company);
+    const listed = list.map(summary => ({ summary, job: buildJob(company, summary, null) }));
+
+    // Every job on the board, so closed postings can be detected
+    listings.recordBoard(`workable:${company}`, listed.map(({ job }) => job.id));
+
+    // Summaries have the title and location, enough to skip jobs that
+    // can't match or are already tracked
+    const candidates = listed.filter(({ job }) =>
+      !dedup.isOpenJob(job.id) && evaluate(job, config.filters, ['roles', 'locations', 'exclude']).included
+    );
+
+    for (let i = 0; i < candidates.length; i += DETAIL_CONCURRENCY) {
+      const batch = candidates.slice(i, i + DETAIL_CONCURRENCY);
+      const details = await Promise.all(batch.map(({ summary }) => fetchDetails(company, summary.shortcode)));
+      batch.forEach(({ summary }, index) => jobs.push(buildJob(company, summary, details[index])));
+    }
+
+    logger.debug(`Workable: Found ${listed.length} jobs at ${company} (${jobs.length} new)`);
+  } catch (error) {
+    logger.error(`Workable: Error scraping ${company}:`, error.message);
+  }
+
+  return jobs;
+}
+
+/**
+ * Format company slug to proper name
+ * @param {string} slug - Company slug
+ * @returns {string} Formatted company name
+ */
+function formatCompanyName(slug) {
+  const nameMap = {
+    'hotjar': 'Hotjar',
+  };
+  return nameMap[slug] || slug.charAt(0).toUpperCase() + slug.slice(1);
+}
+
+/**
+ * Scrape all configured Workable companies
+ * @returns {Array} Array of job objects from all companies
+ */
+async function scrape() {
+  const companies = getCompanySlugs('workable');
+
+  if (companies.length === 0) {
+    logger.debug('Workable: No companies configured');
+    return [];
+  }
+
+  logger.info(`Workable: Scraping ${companies.length} companies...`);
+
+  // Scrape all companies in parallel
+  const results = await Promise.all(
+    companies.map(company => scrapeCompany(company))
+  );
+
+  // Flatten results and filter
+  const allJobs = results.flat();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`Workable: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'workable',
+  displayName: 'Workable',
+  color: 0x1BB17A,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
+  scrape,
+  scrapeCompany,
+};
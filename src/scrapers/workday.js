@@ -0,0 +1,277 @@
+/**
+ * Workday Career Site Scraper
+ *
+ * Uses the CXS JSON API behind *.myworkdayjobs.com career sites. Workday
+ * boards are too big to fetch whole, so each tenant is searched for the role
+ * keywords in config.filters.roles, optionally narrowed by search facets.
+ * Details are only fetched for new postings whose titles pass the filters.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { htmlToText } = require('../utils/text');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
+const { getCompanyKey, getCompanySlugs } = require('../utils/companies');
+const { filterJobs, evaluate, getKeywords, matchesText } = require('../services/filter');
+const dedup = require('../services/dedup');
+const listings = require('../services/listings');
+
+// Workday returns at most 20 postings per page
+const PAGE_SIZE = 20;
+// Pages fetched per keyword search
+const MAX_PAGES = 5;
+// Job detail requests in flight per tenant
+const DETAIL_CONCURRENCY = 4;
+
+/**
+ * Get the CXS API base URL for a tenant
+ * @param {Object} tenant - Tenant config ({ host, site, tenant })
+ * @returns {string} Base URL
+ */
+function getApiUrl(tenant) {
+  return `https://${tenant.host}/wday/cxs/${getCompanyKey(tenant)}/${tenant.site}`;
+}
+
+/**
+ * Fetch one page of job search results
+ * @param {Object} tenant - Tenant config
+ * @param {Object} search - { searchText, appliedFacets, offset }
+ * @returns {Promise<Object>} { total, jobPostings, facets }
+ */
+async function fetchPage(tenant, { searchText = '', appliedFacets = {}, offset = 0 }) {
+  const response = await fetch(`${getApiUrl(tenant)}/jobs`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+    body: JSON.stringify({ searchText, appliedFacets, limit: PAGE_SIZE, offset }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`search failed (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Turn configured facets into Workday facet IDs.
+ * Facets are configured by name ({ 'Job Family': ['Sales'] }) and matched
+ * against the facet and value names the site returns.
+ * @param {Array} available - Facets from a search response
+ * @param {Object} wanted - Facet name (or parameter) -> value names
+ * @returns {Object} appliedFacets for the search request
+ */
+function resolveFacets(available = [], wanted = {}) {
+  const applied = {};
+
+  Object.entries(wanted).forEach(([facetName, valueNames]) => {
+    const facet = available.find(f =>
+      [f.facetParameter, f.descriptor].some(name => name?.toLowerCase() === facetName.toLowerCase())
+    );
+    if (!facet) {
+      logger.warn(`Workday: Unknown facet "${facetName}"`);
+      return;
+    }
+
+    const wantedValues = valueNames.map(name => name.toLowerCase());
+    const ids = (facet.values || [])
+      .filter(value => wantedValues.includes((value.descriptor || '').toLowerCase()))
+      .map(value => value.id);
+
+    if (ids.length > 0) {
+      applied[facet.facetParameter] = ids;
+    }
+  });
+
+  return applied;
+}
+
+/**
+ * Search a tenant for each keyword
+ * @param {Object} tenant - Tenant config
+ * @param {Array} keywords - Search keywords
+ * @returns {Promise<Object>} { postings: Map externalPath -> posting, completed }
+ *   completed lists the keywords whose search wasn't cut off at MAX_PAGES
+ */
+async function searchTenant(tenant, keywords) {
+  const first = await fetchPage(tenant, {});
+  const appliedFacets = resolveFacets(first.facets, tenant.facets);
+
+  const postings = new Map();
+  const completed = [];
+
+  for (const searchText of keywords) {
+    let offset = 0;
+    let total = Infinity;
+    let complete = true;
+
+    for (let page = 0; offset < total; page++) {
+      if (page >= MAX_PAGES) {
+        complete = false;
+        break;
+      }
+
+      const data = await fetchPage(tenant, { searchText, appliedFacets, offset });
+      // Workday only reports the total on the first page
+      if (offset === 0) {
+        total = data.total || 0;
+      }
+
+      const pagePostings = data.jobPostings || [];
+      pagePostings.forEach(posting => postings.set(posting.externalPath, posting));
+      if (pagePostings.length < PAGE_SIZE) {
+        break;
+      }
+      offset += PAGE_SIZE;
+    }
+
+    if (complete) {
+      completed.push(searchText);
+    }
+  }
+
+  return { postings, completed };
+}
+
+/**
+ * Fetch a posting's details
+ * @param {Object} tenant - Tenant config
+ * @param {string} externalPath - Posting path (e.g. '/job/Santa-Clara/Sales-Engineer_JR123')
+ * @returns {Promise<Object|null>} jobPostingInfo or null
+ */
+async function fetchDetails(tenant, externalPath) {
+  try {
+    const response = await fetch(`${getApiUrl(tenant)}${externalPath}`, {
+      headers: { 'Accept': 'application/json' },
+    });
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json();
+    return data.jobPostingInfo || null;
+  } catch (error) {
+    logger.debug(`Workday: Could not fetch ${externalPath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a job object from a search result and its details
+ * @param {Object} tenant - Tenant config
+ * @param {Object} posting - Search result
+ * @param {Object|null} info - jobPostingInfo (null if details failed)
+ * @returns {Object} Job object
+ */
+function buildJob(tenant, posting, info) {
+  const key = getCompanyKey(tenant);
+  // Paths end in the requisition ID ('..._JR1234'), so the ID is known
+  // before fetching details. bulletFields hold other things on some tenants.
+  const reqId = posting.externalPath.split('/').pop().split('_').pop();
+  const description = htmlToText(info?.jobDescription);
+  const location = info?.location || posting.locationsText || 'Not specified';
+
+  return {
+    id: `workday-${key}-${reqId}`,
+    title: info?.title || posting.title || 'Unknown Title',
+    company: tenant.name || key.charAt(0).toUpperCase() + key.slice(1),
+    location,
+    locations: parseLocations(
+      [location, ...(info?.additionalLocations || [])],
+      { workplaceType: info?.remoteType }
+    ),
+    department: null,
+    commitment: info?.timeType || null,
+    description: description || null,
+    // Pay transparency ranges are part of the description
+    compensation: parseCompensation(description),
+    url: info?.externalUrl || `https://${tenant.host}/${tenant.site}${posting.externalPath}`,
+    source: 'Workday',
+    board: `workday:${key}`,
+    scrapedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fetch jobs from a Workday tenant
+ * @param {Object} tenant - Tenant config
+ * @param {string} tenant.host - Career site host (e.g. 'nvidia.wd5.myworkdayjobs.com')
+ * @param {string} tenant.site - Career site name (e.g. 'NVIDIAExternalCareerSite')
+ * @param {string} [tenant.name] - Company name (defaults to the tenant)
+ * @param {string} [tenant.tenant] - Tenant ID (defaults to the first part of the host)
+ * @param {Object} [tenant.facets] - Search facets by name, e.g. { 'Job Family': ['Sales'] }
+ * @returns {Array} Array of job objects
+ */
+async function scrapeCompany(tenant) {
+  const key = getCompanyKey(tenant);
+  const keywords = getKeywords(Object.values(config.filters.roles).flat());
+  const jobs = [];
+
+  try {
+    const { postings, completed } = await searchTenant(tenant, keywords);
+
+    // Search results only have the title and location summary, enough to
+    // skip postings that can't pass the title filters or are already tracked
+    const listed = [...postings.values()].map(posting => ({ posting, job: buildJob(tenant, posting, null) }));
+    const list = listed.filter(({ job }) =>
+      !dedup.isOpenJob(job.id) && evaluate(job, config.filters, ['roles', 'exclude']).included
+    );
+
+    for (let i = 0; i < list.length; i += DETAIL_CONCURRENCY) {
+      const batch = list.slice(i, i + DETAIL_CONCURRENCY);
+      const details = await Promise.all(batch.map(({ posting }) => fetchDetails(tenant, posting.externalPath)));
+      batch.forEach(({ posting }, index) => jobs.push(buildJob(tenant, posting, details[index])));
+    }
+
+    // Searches return the same jobs each cycle while they're open, so missing
+    // ones have closed. A tracked job is only missing if a search that wasn't
+    // cut off would have found it (its title has that keyword).
+    const covers = completed.length === keywords.length ? null : job => matchesText(job.title, completed);
+    listings.recordBoard(`workday:${key}`, listed.map(({ job }) => job.id), covers);
+
+    logger.debug(`Workday: Found ${listed.length} jobs at ${key} (${list.length} new)`);
+  } catch (error) {
+    logger.error(`Workday: Error scraping ${key}:`, error.message);
+  }
+
+  return jobs;
+}
+
+/**
+ * Scrape all configured Workday tenants
+ * @returns {Array} Array of job objects from all tenants
+ */
+async function scrape() {
+  const tenants = getCompanySlugs('workday');
+
+  if (tenants.length === 0) {
+    logger.debug('Workday: No tenants configured');
+    return [];
+  }
+
+  logger.info(`Workday: Scraping ${tenants.length} tenants...`);
+
+  // Scrape all tenants in parallel
+  const results = await Promise.all(
+    tenants.map(tenant => scrapeCompany(tenant))
+  );
+
+  // Flatten results and filter
+  const allJobs = results.flat();
+  const filteredJobs = filterJobs(allJobs);
+
+  logger.info(`Workday: Found ${filteredJobs.length} matching jobs (${allJobs.length} total)`);
+
+  return filteredJobs;
+}
+
+module.exports = {
+  name: 'workday',
+  displayName: 'Workday',
+  color: 0x0875E1,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
+  scrape,
+  scrapeCompany,
+};
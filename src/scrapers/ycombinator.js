@@ -7,6 +7,9 @@
 const cheerio = require('cheerio');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { filterJobs, getKeywords } = require('../services/filter');
+const { parseCompensation } = require('../utils/compensation');
+const { parseLocations } = require('../utils/location');
 
 const BASE_URL = 'https://www.workatastartup.com';
 const JOBS_URL = `${BASE_URL}/jobs`;
@@ -16,7 +19,8 @@ const JOBS_URL = `${BASE_URL}/jobs`;
  * @returns {string} Search URL
  */
 function buildSearchUrl() {
-  const { roles, locations } = config.filters;
+  const roles = getKeywords(Object.values(config.filters.roles).flat());
+  const { remoteAnywhere, workplaceTypes = [] } = config.filters.locations;
   
   const params = new URLSearchParams();
   
@@ -26,7 +30,7 @@ function buildSearchUrl() {
   }
   
   // Add remote filter
-  if (locations.some(loc => loc.toLowerCase() === 'remote')) {
+  if (remoteAnywhere || workplaceTypes.includes('remote')) {
     params.set('hasRemote', 'true');
   }
 
@@ -69,6 +73,7 @@ async function scrapeJobs() {
       const location = $job.find('[class*="location"], [class*="Location"]').text().trim();
       const batch = $job.find('[class*="batch"], [class*="Batch"]').text().trim();
       const funding = $job.find('[class*="funding"], [class*="stage"]').text().trim();
+      const salary = $job.find('[class*="salary"], [class*="compensation"]').first().text().trim();
 
       if (title && jobUrl) {
         const jobId = $job.attr('data-job-id') || jobUrl.split('/').pop() || Date.now();
@@ -78,8 +83,11 @@ async function scrapeJobs() {
           title,
           company: company || 'YC Startup',
           location: location || 'Not specified',
+          locations: parseLocations(location),
           batch: batch || null,
           funding: funding || null,
+          salary: salary || null,
+          compensation: parseCompensation(salary),
           url: jobUrl.startsWith('http') ? jobUrl : `${BASE_URL}${jobUrl}`,
           source: 'Y Combinator',
           scrapedAt: new Date().toISOString(),
@@ -97,13 +105,17 @@ async function scrapeJobs() {
           const jobsData = data?.props?.pageProps?.jobs || [];
           
           jobsData.forEach(job => {
+            const salary = job.salaryRange || job.salary_range || job.prettySalaryRange || null;
             jobs.push({
               id: `yc-${job.id || job.slug}`,
               title: job.title || job.name,
               company: job.company?.name || job.companyName || 'YC Startup',
               location: job.location || job.locations?.join(', ') || 'Not specified',
+              locations: parseLocations(job.locations || job.location),
               batch: job.company?.batch || job.batch,
               funding: job.company?.stage || job.stage,
+              salary,
+              compensation: parseCompensation(salary),
               url: job.url || `${BASE_URL}/jobs/${job.slug || job.id}`,
               source: 'Y Combinator',
               scrapedAt: new Date().toISOString(),
@@ -133,6 +145,7 @@ async function scrapeJobs() {
               title,
               company: company || 'YC Startup',
               batch: batch || null,
+              compensation: null,
               url: jobUrl?.startsWith('http') ? jobUrl : `${BASE_URL}${jobUrl || ''}`,
               source: 'Y Combinator',
               scrapedAt: new Date().toISOString(),
@@ -150,35 +163,6 @@ async function scrapeJobs() {
   return jobs;
 }
 
-/**
- * Filter jobs based on config filters
- * @param {Array} jobs - Array of job objects
- * @returns {Array} Filtered jobs
- */
-function filterJobs(jobs) {
-  const { roles, locations, exclude } = config.filters;
-
-  return jobs.filter(job => {
-    const titleLower = job.title.toLowerCase();
-    const locationLower = (job.location || '').toLowerCase();
-
-    // Check if job matches any role filter
-    const matchesRole = roles.length === 0 || 
-      roles.some(role => titleLower.includes(role.toLowerCase()));
-
-    // Check if job matches any location filter
-    const matchesLocation = locations.length === 0 ||
-      locations.some(loc => locationLower.includes(loc.toLowerCase()));
-
-    // Check if job should be excluded
-    const shouldExclude = exclude.some(term => 
-      titleLower.includes(term.toLowerCase())
-    );
-
-    return matchesRole && matchesLocation && !shouldExclude;
-  });
-}
-
 /**
  * Main scrape function
  * @returns {Array} Array of filtered job objects
@@ -195,8 +179,12 @@ async function scrape() {
 }
 
 module.exports = {
+  name: 'ycombinator',
+  displayName: 'Y Combinator',
+  color: 0xFF6600,
+  // Runs with jobCheck unless config.schedule has its own entry
+  defaultSchedule: null,
   scrape,
   scrapeJobs,
-  filterJobs,
 };
 
@@ -0,0 +1,319 @@
+/**
+ * Cross-source Duplicate Detection
+ *
+ * Groups postings of the same role from different boards (e.g. Greenhouse
+ * and a LinkedIn alert) so each role is posted once with every source link.
+ * Two postings are the same job if their canonical URLs match, or if they
+ * are at the same company with near-identical titles and overlapping locations.
+ * Postings from the same source or board with different IDs are separate
+ * openings (e.g. one role listed per office).
+ */
+
+const config = require('../config');
+const { parseLocations } = require('../utils/location');
+
+// Legal suffixes dropped from company names
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'plc', 'sa', 'ag', 'hq',
+]);
+
+// Title abbreviations expanded before comparing
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  snr: 'senior',
+  jr: 'junior',
+  eng: 'engineer',
+  engr: 'engineer',
+  mgr: 'manager',
+  swe: 'software engineer',
+  ml: 'machine learning',
+  pm: 'product manager',
+  vp: 'vice president',
+  dir: 'director',
+  i: '1',
+  ii: '2',
+  iii: '3',
+  iv: '4',
+};
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'and', 'for', 'to', 'with']);
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(?:utm_.*|ref|refid|source|src|gh_src|lever-source.*|trk|trackingid|lipi)$/i;
+
+/**
+ * Normalize a company name ("Stripe, Inc." -> "stripe")
+ * @param {string} name - Company name
+ * @returns {string} Normalized name ('' if unknown)
+ */
+function normalizeCompany(name) {
+  const tokens = (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  if (tokens[0] === 'the' && tokens.length > 1) {
+    tokens.shift();
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Normalize a job title ("Sr. Solutions Eng (Remote) - Toronto" -> "senior solutions engineer")
+ * @param {string} title - Job title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  let text = (title || '').toLowerCase().replace(/\([^)]*\)|\[[^\]]*\]/g, ' ');
+
+  // Drop trailing location suffixes like " - Remote" or ", New York"
+  const parts = text.split(/\s[-–|]\s|,\s/);
+  while (parts.length > 1 && parseLocations(parts[parts.length - 1]).some(loc => loc.country || loc.workplaceType !== 'onsite')) {
+    parts.pop();
+  }
+  text = parts.join(' ');
+
+  return text
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token && !TITLE_STOPWORDS.has(token))
+    .map(token => TITLE_ABBREVIATIONS[token] || token)
+    .join(' ');
+}
+
+/**
+ * Canonicalize a job URL so links to the same posting compare equal.
+ * Known job boards map to 'board:id'; other URLs lose tracking params.
+ * @param {string} url - Job URL
+ * @returns {string|null} Canonical URL or null
+ */
+function canonicalUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname;
+  let match;
+
+  // Company career pages embedding a Greenhouse board
+  if (parsed.searchParams.get('gh_jid')) {
+    return `greenhouse:${parsed.searchParams.get('gh_jid')}`;
+  }
+  if (host.endsWith('greenhouse.io') && (match = pathname.match(/\/jobs\/(\d+)/))) {
+    return `greenhouse:${match[1]}`;
+  }
+  if (host.endsWith('lever.co') && (match = pathname.match(/^\/[^/]+\/([0-9a-f-]{36})/i))) {
+    return `lever:${match[1].toLowerCase()}`;
+  }
+  if (host.endsWith('ashbyhq.com') && (match = pathname.match(/^\/[^/]+\/([0-9a-f-]{36})/i))) {
+    return `ashby:${match[1].toLowerCase()}`;
+  }
+  if (host.endsWith('myworkdayjobs.com') && (match = pathname.match(/\/job\/.*_([A-Za-z0-9-]+)$/))) {
+    return `workday:${host.split('.')[0]}:${match[1].toLowerCase()}`;
+  }
+  if (host.endsWith('smartrecruiters.com') && (match = pathname.match(/^\/[^/]+\/(\d+)/))) {
+    return `smartrecruiters:${match[1]}`;
+  }
+  if (host === 'apply.workable.com' && (match = pathname.match(/^\/[^/]+\/j\/([A-Za-z0-9]+)/))) {
+    return `workable:${match[1].toUpperCase()}`;
+  }
+  if (host.endsWith('linkedin.com') && (match = pathname.match(/\/jobs\/view\/(?:[^/]*-)?(\d+)/))) {
+    return `linkedin:${match[1]}`;
+  }
+  if (host.endsWith('wellfound.com') && (match = pathname.match(/\/jobs\/(\d+)/))) {
+    return `wellfound:${match[1]}`;
+  }
+  if (/(?:^|\.)indeed\.[a-z.]+$/.test(host) && parsed.searchParams.get('jk')) {
+    return `indeed:${parsed.searchParams.get('jk').toLowerCase()}`;
+  }
+  if (/(?:^|\.)glassdoor\.[a-z.]+$/.test(host) && parsed.searchParams.get('jl')) {
+    return `glassdoor:${parsed.searchParams.get('jl')}`;
+  }
+  if (host === 'app.otta.com' && (match = pathname.match(/^\/jobs\/([A-Za-z0-9_-]+)/))) {
+    return `otta:${match[1]}`;
+  }
+
+  const params = [...parsed.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+
+  return `${host}${pathname.replace(/\/+$/, '')}${query}`;
+}
+
+/**
+ * Get the keys used to look up possible duplicates
+ * @param {Object} job - Job object
+ * @returns {Object} { companyKey, titleKey, urlKey }
+ */
+function getMatchKeys(job) {
+  return {
+    companyKey: normalizeCompany(job.company),
+    titleKey: normalizeTitle(job.title),
+    urlKey: canonicalUrl(job.url),
+  };
+}
+
+/**
+ * Similarity of two normalized titles (Dice coefficient of their words)
+ * @param {string} a - Normalized title
+ * @param {string} b - Normalized title
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+function titleSimilarity(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) {
+      shared++;
+    }
+  });
+
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Check if two places could be the same: cities must match when both have
+ * one, otherwise regions when both have one
+ * @param {Object} a - Structured location
+ * @param {Object} b - Structured location
+ * @returns {boolean} True if they could be the same place
+ */
+function samePlace(a, b) {
+  if (a.country && b.country && a.country !== b.country) {
+    return false;
+  }
+  if (a.city && b.city) {
+    return a.city.toLowerCase() === b.city.toLowerCase();
+  }
+  if (a.region && b.region) {
+    return a.region.toLowerCase() === b.region.toLowerCase();
+  }
+  return true;
+}
+
+/**
+ * Check if two jobs could be in the same place.
+ * Jobs with no known country (unknown or remote anywhere) overlap with any;
+ * when both list cities or regions, one of them must be shared.
+ * @param {Object} a - Job object
+ * @param {Object} b - Job object
+ * @returns {boolean} True if the locations overlap
+ */
+function locationsOverlap(a, b) {
+  const locationsA = a.locations || parseLocations(a.location);
+  const locationsB = b.locations || parseLocations(b.location);
+  const countriesA = locationsA.map(loc => loc.country).filter(Boolean);
+  const countriesB = locationsB.map(loc => loc.country).filter(Boolean);
+
+  if (countriesA.length > 0 && countriesB.length > 0
+    && !countriesA.some(country => countriesB.includes(country))) {
+    return false;
+  }
+
+  const placesA = locationsA.filter(loc => loc.city || loc.region);
+  const placesB = locationsB.filter(loc => loc.city || loc.region);
+  if (placesA.length === 0 || placesB.length === 0) {
+    return true;
+  }
+  return placesA.some(place => placesB.some(other => samePlace(place, other)));
+}
+
+/**
+ * Check if two postings come from the same source or board
+ * @param {Object} a - Job object
+ * @param {Object} b - Job object
+ * @returns {boolean} True if they share a source or board
+ */
+function sameOrigin(a, b) {
+  return (!!a.source && a.source === b.source) || (!!a.board && a.board === b.board);
+}
+
+/**
+ * Check if two postings are the same role
+ * @param {Object} a - Job object
+ * @param {Object} b - Job object
+ * @returns {boolean} True if they are duplicates
+ */
+function isSameJob(a, b) {
+  const keysA = getMatchKeys(a);
+  const keysB = getMatchKeys(b);
+
+  if (keysA.urlKey && keysA.urlKey === keysB.urlKey) {
+    return true;
+  }
+  // Separate openings on the same board (e.g. one per office)
+  if (a.id && b.id && a.id !== b.id && sameOrigin(a, b)) {
+    return false;
+  }
+
+  return !!keysA.companyKey
+    && keysA.companyKey === keysB.companyKey
+    && titleSimilarity(keysA.titleKey, keysB.titleKey) >= config.duplicates.titleSimilarity
+    && locationsOverlap(a, b);
+}
+
+/**
+ * Rank of a job's source (lower is preferred as the posted job)
+ * @param {Object} job - Job object
+ * @returns {number} Rank
+ */
+function sourceRank(job) {
+  const index = config.duplicates.sourcePriority.indexOf(job.source);
+  return index === -1 ? config.duplicates.sourcePriority.length : index;
+}
+
+/**
+ * Group duplicate postings.
+ * Returns one job per role (from the preferred source) with the other
+ * postings in its `duplicates` array.
+ * @param {Array} jobs - Array of job objects
+ * @returns {Array} Canonical jobs
+ */
+function clusterJobs(jobs) {
+  const clusters = [];
+
+  jobs.forEach(job => {
+    const cluster = clusters.find(members => members.some(member => isSameJob(member, job)));
+    if (cluster) {
+      cluster.push(job);
+    } else {
+      clusters.push([job]);
+    }
+  });
+
+  return clusters.map(members => {
+    const [canonical, ...duplicates] = [...members].sort((a, b) => sourceRank(a) - sourceRank(b));
+    canonical.duplicates = [...(canonical.duplicates || []), ...duplicates];
+    return canonical;
+  });
+}
+
+module.exports = {
+  normalizeCompany,
+  normalizeTitle,
+  canonicalUrl,
+  getMatchKeys,
+  titleSimilarity,
+  locationsOverlap,
+  isSameJob,
+  clusterJobs,
+};
@@ -0,0 +1,76 @@
+/**
+ * SQLite Database
+ *
+ * Opens data/jobs.db and applies pending schema migrations from src/migrations.
+ * Migration files are named NNN-description.js, export up(db), and run once
+ * each in order; the applied version is kept in PRAGMA user_version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+
+// Database path
+const DB_PATH = path.join(__dirname, '../../data/jobs.db');
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+let db = null;
+
+/**
+ * Apply migrations newer than the database's schema version
+ */
+function migrate() {
+  const current = db.pragma('user_version', { simple: true });
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const version = parseInt(file, 10);
+    if (version <= current) {
+      continue;
+    }
+
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${version}`);
+    })();
+    logger.info(`Database: Applied migration ${file}`);
+  }
+}
+
+/**
+ * Get the database connection, opening and migrating it on first use
+ * @returns {Database} better-sqlite3 connection
+ */
+function getDb() {
+  if (!db) {
+    const dir = path.dirname(DB_PATH);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    db = new Database(DB_PATH);
+    db.pragma('journal_mode = WAL');
+    migrate();
+  }
+  return db;
+}
+
+/**
+ * Close the database connection
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  getDb,
+  close,
+};
@@ -1,55 +1,52 @@
 /**
  * Job Deduplication Service
- * 
- * Uses JSON file to track seen jobs and avoid duplicate posts
+ *
+ * Uses the SQLite job database to track seen jobs and avoid duplicate posts
  */
 
-const fs = require('fs');
-const path = require('path');
+const config = require('../config');
+const db = require('./db');
+const { getMatchKeys, isSameJob } = require('./cluster');
 const logger = require('../utils/logger');
 
-// Database path
-const DB_PATH = path.join(__dirname, '../../data/jobs.json');
-
-// In-memory cache
-let seenJobs = {};
-
 /**
- * Initialize - load existing data
+ * Convert a database row to a job object
+ * @param {Object} row - Row from the jobs table
+ * @returns {Object} Job details
  */
-function init() {
-  try {
-    if (fs.existsSync(DB_PATH)) {
-      const data = fs.readFileSync(DB_PATH, 'utf8');
-      seenJobs = JSON.parse(data);
-      
-      // Clean up old entries
-      cleanOldEntries();
-    } else {
-      seenJobs = {};
-      save();
-    }
-    
-    const count = Object.keys(seenJobs).length;
-    logger.info(`Dedup: Loaded ${count} tracked jobs`);
-  } catch (error) {
-    logger.error('Dedup: Failed to initialize:', error.message);
-    seenJobs = {};
-  }
+function rowToJob(row) {
+  return {
+    ...JSON.parse(row.data),
+    id: row.id,
+    title: row.title,
+    company: row.company,
+    location: row.location,
+    url: row.url,
+    source: row.source,
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    clusterId: row.cluster_id,
+    board: row.board,
+    status: row.status,
+    closedAt: row.closed_at,
+    repostCount: row.repost_count,
+    repostedAt: row.reposted_at,
+  };
 }
 
 /**
- * Save to disk
+ * Initialize - open the database and apply migrations
  */
-function save() {
+function init() {
   try {
-    const dir = path.dirname(DB_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(DB_PATH, JSON.stringify(seenJobs, null, 2));
+    db.getDb();
+
+    // Old entries are cleaned after a full check cycle, once listed jobs are refreshed
+    const { total } = getStats();
+    logger.info(`Dedup: Loaded ${total} tracked jobs`);
   } catch (error) {
-    logger.error('Dedup: Failed to save:', error.message);
+    logger.error('Dedup: Failed to initialize:', error.message);
+    throw error;
   }
 }
 
@@ -59,37 +56,172 @@ function save() {
  * @returns {boolean} True if job has been seen
  */
 function hasSeenJob(jobId) {
-  return !!seenJobs[jobId];
+  return !!db.getDb().prepare('SELECT 1 FROM jobs WHERE id = ?').get(jobId);
 }
 
 /**
- * Mark a job as seen
+ * Check if a job is tracked and still open.
+ * Scrapers skip fetching details for these; closed jobs listed again are reposts.
  * @param {string} jobId - Unique job identifier
- * @param {Object} job - Job details to store
+ * @returns {boolean} True if the job is tracked and open
+ */
+function isOpenJob(jobId) {
+  return !!db.getDb().prepare(`SELECT 1 FROM jobs WHERE id = ? AND status = 'open'`).get(jobId);
+}
+
+/**
+ * Mark a job as seen.
+ * A closed job that is seen again is reopened and counted as a repost.
+ * @param {string} jobId - Unique job identifier
+ * @param {Object} job - Job details to store (all fields are kept)
+ * @param {string} [job.clusterId] - ID of the posted job this is a duplicate of
  */
 function markJobSeen(jobId, job = {}) {
   const now = new Date().toISOString();
-  
-  seenJobs[jobId] = {
+  // Duplicates are stored as their own rows in the cluster
+  const { duplicates, clusterId, ...data } = job;
+
+  db.getDb().prepare(`
+    INSERT INTO jobs (id, source, title, company, location, url, data, first_seen, last_seen,
+      company_key, title_key, url_key, cluster_id, board)
+    VALUES (@id, @source, @title, @company, @location, @url, @data, @now, @now,
+      @companyKey, @titleKey, @urlKey, @clusterId, @board)
+    ON CONFLICT (id) DO UPDATE SET
+      source = excluded.source,
+      title = excluded.title,
+      company = excluded.company,
+      location = excluded.location,
+      url = excluded.url,
+      data = excluded.data,
+      last_seen = excluded.last_seen,
+      company_key = excluded.company_key,
+      title_key = excluded.title_key,
+      url_key = excluded.url_key,
+      cluster_id = coalesce(jobs.cluster_id, excluded.cluster_id),
+      board = excluded.board,
+      missed_cycles = 0,
+      status = 'open',
+      closed_at = NULL,
+      repost_count = jobs.repost_count + (jobs.status = 'closed'),
+      reposted_at = CASE WHEN jobs.status = 'closed' THEN excluded.last_seen ELSE jobs.reposted_at END
+  `).run({
     id: jobId,
+    source: job.source || null,
     title: job.title || null,
     company: job.company || null,
+    location: job.location || null,
     url: job.url || null,
-    source: job.source || null,
-    firstSeen: seenJobs[jobId]?.firstSeen || now,
-    lastSeen: now,
-  };
-  
-  save();
+    data: JSON.stringify(data),
+    now,
+    ...getMatchKeys(job),
+    clusterId: clusterId || jobId,
+    board: job.board || null,
+  });
+
   logger.debug(`Dedup: Marked job ${jobId} as seen`);
 }
 
+/**
+ * Refresh lastSeen for tracked jobs that were found again, so jobs that
+ * stay listed are kept by the retention policy
+ * @param {Array} jobIds - IDs of jobs found this cycle
+ */
+function touchJobs(jobIds) {
+  db.getDb().prepare(`
+    UPDATE jobs SET last_seen = @now
+    WHERE status = 'open' AND id IN (SELECT value FROM json_each(@ids))
+  `).run({ ids: JSON.stringify(jobIds), now: new Date().toISOString() });
+}
+
+/**
+ * Update tracked jobs from the boards fetched this cycle.
+ * Listed jobs are refreshed; open jobs missing from their board count a
+ * missed cycle and are closed once they reach the limit. Jobs a partial
+ * listing doesn't cover are left as they are.
+ * @param {Map} boards - Board key -> { ids, covers } (from services/listings)
+ * @param {number} missedCycles - Missed cycles before a job is closed
+ * @returns {Array} Jobs closed by this update
+ */
+function updateBoards(boards, missedCycles) {
+  const conn = db.getDb();
+  const now = new Date().toISOString();
+
+  const refresh = conn.prepare(`
+    UPDATE jobs SET last_seen = @now, missed_cycles = 0
+    WHERE board = @board AND id IN (SELECT value FROM json_each(@ids))
+  `);
+  const findMissing = conn.prepare(`
+    SELECT * FROM jobs
+    WHERE board = @board AND status = 'open' AND id NOT IN (SELECT value FROM json_each(@ids))
+  `);
+  const miss = conn.prepare(`
+    UPDATE jobs SET missed_cycles = missed_cycles + 1
+    WHERE id IN (SELECT value FROM json_each(@ids))
+  `);
+  const findExpired = conn.prepare(`
+    SELECT * FROM jobs
+    WHERE board = @board AND status = 'open' AND missed_cycles >= @missedCycles
+  `);
+  const close = conn.prepare(`
+    UPDATE jobs SET status = 'closed', closed_at = @now WHERE id = @id
+  `);
+
+  const closed = [];
+  conn.transaction(() => {
+    for (const [board, { ids, covers }] of boards) {
+      const params = { board, ids: JSON.stringify([...ids]), now };
+      refresh.run(params);
+
+      const missing = findMissing.all(params)
+        .filter(row => !covers || covers(rowToJob(row)))
+        .map(row => row.id);
+      miss.run({ ids: JSON.stringify(missing) });
+
+      for (const row of findExpired.all({ board, missedCycles })) {
+        close.run({ id: row.id, now });
+        closed.push(rowToJob({ ...row, status: 'closed', closed_at: now }));
+      }
+    }
+  })();
+
+  if (closed.length > 0) {
+    logger.info(`Dedup: ${closed.length} jobs closed (missing for ${missedCycles} cycles)`);
+  }
+  return closed;
+}
+
+/**
+ * Record the Discord message a job was posted in
+ * @param {string} jobId - Job identifier
+ * @param {string} channelId - Discord channel ID
+ * @param {string} messageId - Discord message ID
+ * @param {number|null} embedIndex - Position of the job's embed in the message, if any
+ */
+function recordPost(jobId, channelId, messageId, embedIndex = null) {
+  db.getDb().prepare(`
+    INSERT OR REPLACE INTO posts (job_id, channel_id, message_id, embed_index, posted_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(jobId, channelId, messageId, embedIndex, new Date().toISOString());
+}
+
+/**
+ * Get the Discord messages a job was posted in
+ * @param {string} jobId - Job identifier
+ * @returns {Array} Array of { channelId, messageId, embedIndex }
+ */
+function getPosts(jobId) {
+  return db.getDb()
+    .prepare('SELECT channel_id, message_id, embed_index FROM posts WHERE job_id = ?')
+    .all(jobId)
+    .map(row => ({ channelId: row.channel_id, messageId: row.message_id, embedIndex: row.embed_index }));
+}
+
 /**
  * Get all seen job IDs
  * @returns {Array} Array of job IDs
  */
 function getAllSeenJobIds() {
-  return Object.keys(seenJobs);
+  return db.getDb().prepare('SELECT id FROM jobs').pluck().all();
 }
 
 /**
@@ -98,63 +230,186 @@ function getAllSeenJobIds() {
  * @returns {Object|null} Job details or null
  */
 function getJob(jobId) {
-  return seenJobs[jobId] || null;
+  const row = db.getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+  return row ? rowToJob(row) : null;
 }
 
 /**
- * Clean up entries older than 30 days
+ * Find an already tracked posting of the same role from another source
+ * @param {Object} job - Job object
+ * @returns {string|null} Cluster ID of the matching job, or null
  */
-function cleanOldEntries() {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  const cutoff = thirtyDaysAgo.toISOString();
-  
-  let removed = 0;
-  Object.keys(seenJobs).forEach(id => {
-    if (seenJobs[id].firstSeen < cutoff) {
-      delete seenJobs[id];
-      removed++;
-    }
+function findDuplicate(job) {
+  const { companyKey, urlKey } = getMatchKeys(job);
+
+  const candidates = db.getDb().prepare(`
+    SELECT * FROM jobs
+    WHERE id != @id
+      AND ((@urlKey IS NOT NULL AND url_key = @urlKey)
+        OR (@companyKey != '' AND company_key = @companyKey))
+  `).all({ id: job.id, urlKey, companyKey });
+
+  const match = candidates.find(row => isSameJob(job, rowToJob(row)));
+  return match ? match.cluster_id || match.id : null;
+}
+
+/**
+ * Get every posting in a cluster
+ * @param {string} clusterId - Cluster ID
+ * @returns {Array} Jobs, oldest first
+ */
+function getClusterJobs(clusterId) {
+  return db.getDb()
+    .prepare('SELECT * FROM jobs WHERE cluster_id = ? ORDER BY first_seen')
+    .all(clusterId)
+    .map(rowToJob);
+}
+
+/**
+ * Check whether a cluster's role has closed.
+ * A cluster is closed once every posting from a tracked board (Greenhouse,
+ * Lever) is closed; clusters with no tracked postings never close.
+ * @param {string} clusterId - Cluster ID
+ * @returns {Object|null} { firstSeen, closedAt } if closed, otherwise null
+ */
+function getClosedCluster(clusterId) {
+  const tracked = getClusterJobs(clusterId).filter(job => job.board);
+  if (tracked.length === 0 || tracked.some(job => job.status !== 'closed')) {
+    return null;
+  }
+
+  return {
+    firstSeen: tracked[0].firstSeen,
+    closedAt: tracked.map(job => job.closedAt).sort().pop(),
+  };
+}
+
+/**
+ * Get the jobs first seen since a time, one per cluster (the posted job)
+ * @param {string} since - ISO timestamp
+ * @returns {Array} Jobs, oldest first
+ */
+function getJobsSince(since) {
+  return db.getDb().prepare(`
+    SELECT * FROM jobs
+    WHERE first_seen >= ? AND (cluster_id IS NULL OR cluster_id = id)
+    ORDER BY first_seen
+  `).all(since).map(rowToJob);
+}
+
+/**
+ * Search tracked jobs (case-insensitive substring match)
+ * @param {Object} query - Search query
+ * @param {string} query.keyword - Text to find in the job title
+ * @param {string} [query.company] - Company name filter
+ * @param {string} [query.source] - Exact source name filter
+ * @param {number} [query.limit=10] - Max results
+ * @returns {Array} Matching jobs, newest first
+ */
+function searchJobs({ keyword, company, source, limit = 10 }) {
+  const rows = db.getDb().prepare(`
+    SELECT * FROM jobs
+    WHERE instr(lower(coalesce(title, '')), lower(@keyword)) > 0
+      AND (@company IS NULL OR instr(lower(coalesce(company, '')), lower(@company)) > 0)
+      AND (@source IS NULL OR source = @source)
+    ORDER BY first_seen DESC
+    LIMIT @limit
+  `).all({
+    keyword: keyword || '',
+    company: company || null,
+    source: source || null,
+    limit,
   });
-  
-  if (removed > 0) {
-    save();
-    logger.info(`Dedup: Cleaned up ${removed} old job entries`);
+
+  return rows.map(rowToJob);
+}
+
+/**
+ * Get the ISO timestamp a number of days before a time
+ * @param {string} from - ISO timestamp
+ * @param {number} days - Days back
+ * @returns {string} ISO timestamp
+ */
+function daysBefore(from, days) {
+  const date = new Date(from);
+  date.setDate(date.getDate() - days);
+  return date.toISOString();
+}
+
+/**
+ * Forget jobs per the retention policy (config.retention).
+ * Open jobs are kept while they are still listed (lastSeen is refreshed each
+ * check); closed jobs are kept long enough to recognize reposts. Ages are
+ * counted back from the last full check cycle, so downtime doesn't count.
+ * @param {string} cycleStart - ISO time the last full check of every source started
+ */
+function cleanOldEntries(cycleStart) {
+  const { days, closedDays } = config.retention;
+  const conn = db.getDb();
+
+  const { changes } = conn.prepare(`
+    DELETE FROM jobs
+    WHERE (status = 'open' AND last_seen < @openCutoff)
+      OR (status = 'closed' AND coalesce(closed_at, last_seen) < @closedCutoff)
+  `).run({ openCutoff: daysBefore(cycleStart, days), closedCutoff: daysBefore(cycleStart, closedDays) });
+
+  if (changes > 0) {
+    conn.prepare('DELETE FROM posts WHERE job_id NOT IN (SELECT id FROM jobs)').run();
+    logger.info(`Dedup: Cleaned up ${changes} old job entries`);
   }
 }
 
 /**
  * Get statistics about tracked jobs
+ * @param {Object} [options] - Options
+ * @param {string} [options.since] - Only count jobs first seen at or after this ISO time
  * @returns {Object} Statistics
  */
-function getStats() {
+function getStats({ since = null } = {}) {
+  const rows = db.getDb().prepare(`
+    SELECT coalesce(source, 'Unknown') AS source, count(*) AS count
+    FROM jobs
+    WHERE @since IS NULL OR first_seen >= @since
+    GROUP BY 1
+  `).all({ since });
+
   const bySource = {};
-  
-  Object.values(seenJobs).forEach(job => {
-    const source = job.source || 'Unknown';
-    bySource[source] = (bySource[source] || 0) + 1;
+  let total = 0;
+  rows.forEach(({ source, count }) => {
+    bySource[source] = count;
+    total += count;
   });
-  
+
   return {
-    total: Object.keys(seenJobs).length,
+    total,
     bySource,
   };
 }
 
 /**
- * Close - save to disk
+ * Close - close the database
  */
 function close() {
-  save();
-  logger.info('Dedup: Data saved');
+  db.close();
+  logger.info('Dedup: Database closed');
 }
 
 module.exports = {
   init,
   hasSeenJob,
+  isOpenJob,
   markJobSeen,
+  touchJobs,
+  updateBoards,
+  recordPost,
+  getPosts,
   getAllSeenJobIds,
   getJob,
+  findDuplicate,
+  getClusterJobs,
+  getClosedCluster,
+  getJobsSince,
+  searchJobs,
   cleanOldEntries,
   getStats,
   close,
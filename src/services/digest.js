@@ -0,0 +1,79 @@
+/**
+ * Job Digest
+ *
+ * Builds a summary of the jobs first seen in the last few days,
+ * grouped by company or by the config.companies sections.
+ */
+
+const config = require('../config');
+const dedup = require('./dedup');
+const { formatDigest } = require('./formatter');
+const { getCompanyCategory } = require('../utils/companies');
+
+/**
+ * Get the group a job belongs to in the digest
+ * @param {Object} job - Job object
+ * @param {string} groupBy - 'company' or 'category'
+ * @returns {string} Group name
+ */
+function getGroup(job, groupBy) {
+  if (groupBy === 'category') {
+    return getCompanyCategory(job) || 'Other';
+  }
+  return job.company || 'Unknown';
+}
+
+/**
+ * Describe the digest window
+ * @param {number} days - Window length in days
+ * @returns {string} e.g. 'Weekly'
+ */
+function describeWindow(days) {
+  if (days === 1) {
+    return 'Daily';
+  }
+  if (days === 7) {
+    return 'Weekly';
+  }
+  return `${days}-day`;
+}
+
+/**
+ * Build the digest message
+ * @param {Object} [options] - Options (default config.digest)
+ * @param {number} [options.days] - Include jobs first seen in this many days
+ * @param {string} [options.groupBy] - 'company' or 'category'
+ * @returns {Object|null} Payload for channel.send(), or null if there are no new jobs
+ */
+function buildDigest({ days = config.digest.days, groupBy = config.digest.groupBy } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const jobs = dedup.getJobsSince(since);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const groups = new Map();
+  jobs.forEach(job => {
+    const group = getGroup(job, groupBy);
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(job);
+  });
+
+  // Biggest groups first
+  const sorted = [...groups].sort(([, a], [, b]) => b.length - a.length);
+
+  return formatDigest({
+    title: `${describeWindow(days)} job digest`,
+    groups: sorted.map(([name, groupJobs]) => ({ name, jobs: groupJobs })),
+    showCompany: groupBy !== 'company',
+    total: jobs.length,
+    bySource: dedup.getStats({ since }).bySource,
+  });
+}
+
+module.exports = {
+  buildDigest,
+};
@@ -0,0 +1,352 @@
+/**
+ * Job Filtering Engine
+ *
+ * Shared filter used by every scraper. Rules can be:
+ * - Keywords: 'ai', 'sales engineer' (whole-word, case-insensitive)
+ * - Globs: 'engineer*', 'pre?sales' (* = any characters within a word, ? = one character)
+ * - Regexes: '/\\bsr\\.? engineer/i' or a RegExp
+ * - Groups: { any: [...] }, { all: [...] }, { not: rule }, nestable.
+ *   A group can set `in: ['title', 'description']` to choose the job fields its rules match.
+ *   Descriptions are only available from sources that provide them (the company job boards:
+ *   Greenhouse, Lever, Ashby, Workday, SmartRecruiters, Workable).
+ */
+
+const config = require('../config');
+const { toAnnual, formatCompensation } = require('../utils/compensation');
+const { parseLocations, describeLocation } = require('../utils/location');
+
+// Default job fields each filter section matches against
+const SECTION_FIELDS = {
+  roles: ['title'],
+  locations: ['location'],
+  exclude: ['title'],
+};
+
+// Compiled rule cache (keyed by rule string)
+const compiled = new Map();
+
+/**
+ * Escape regex special characters
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a rule string is a regex ('/pattern/flags')
+ * @param {string} rule - Rule string
+ * @returns {boolean} True if regex rule
+ */
+function isRegexRule(rule) {
+  return /^\/.+\/[a-z]*$/.test(rule);
+}
+
+/**
+ * Check if a rule string is a glob
+ * @param {string} rule - Rule string
+ * @returns {boolean} True if glob rule
+ */
+function isGlobRule(rule) {
+  return !isRegexRule(rule) && /[*?]/.test(rule);
+}
+
+/**
+ * Compile a string or RegExp rule to a RegExp
+ * @param {string|RegExp} rule - Rule
+ * @returns {RegExp} Compiled rule
+ * @throws {Error} If a regex rule doesn't compile
+ */
+function compileRule(rule) {
+  if (rule instanceof RegExp) {
+    return rule;
+  }
+
+  if (compiled.has(rule)) {
+    return compiled.get(rule);
+  }
+
+  let regex;
+  if (isRegexRule(rule)) {
+    const lastSlash = rule.lastIndexOf('/');
+    // Drop the global flag, which makes test() stateful
+    const flags = rule.slice(lastSlash + 1).replace('g', '');
+    try {
+      regex = new RegExp(rule.slice(1, lastSlash), flags || 'i');
+    } catch (error) {
+      throw new Error(`Filter: Invalid regex rule ${rule} (${error.message})`);
+    }
+  } else {
+    const body = rule
+      .trim()
+      .split(/([*?])/)
+      .map(part => {
+        if (part === '*') return '[^\\s]*';
+        if (part === '?') return '[^\\s]';
+        return escapeRegex(part).replace(/\s+/g, '\\s+');
+      })
+      .join('');
+    // Whole-word match: no letter or digit directly before or after
+    regex = new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'i');
+  }
+
+  compiled.set(rule, regex);
+  return regex;
+}
+
+/**
+ * Describe a rule for match reports
+ * @param {string|RegExp|Object} rule - Rule
+ * @returns {string} Description
+ */
+function describeRule(rule) {
+  if (rule instanceof RegExp) {
+    return rule.toString();
+  }
+  if (typeof rule === 'string') {
+    return rule;
+  }
+  if (rule.any) {
+    return `any(${rule.any.map(describeRule).join(', ')})`;
+  }
+  if (rule.all) {
+    return `all(${rule.all.map(describeRule).join(', ')})`;
+  }
+  if (rule.not) {
+    return `not(${describeRule(rule.not)})`;
+  }
+  return JSON.stringify(rule);
+}
+
+/**
+ * Get the text of a job field
+ * @param {Object} job - Job object
+ * @param {string} field - Field name
+ * @returns {string} Field text
+ */
+function getFieldText(job, field) {
+  const value = job[field];
+  if (Array.isArray(value)) {
+    return value.join(' ');
+  }
+  return value == null ? '' : String(value);
+}
+
+/**
+ * Match a rule against a job
+ * @param {Object} job - Job object
+ * @param {string|RegExp|Object} rule - Rule
+ * @param {Array} fields - Job fields to match against
+ * @returns {string|null} Description of the matching rule, or null
+ */
+function matchRule(job, rule, fields) {
+  if (typeof rule === 'string' || rule instanceof RegExp) {
+    const regex = compileRule(rule);
+    return fields.some(field => regex.test(getFieldText(job, field))) ? describeRule(rule) : null;
+  }
+
+  const groupFields = rule.in || fields;
+
+  if (rule.any) {
+    for (const child of rule.any) {
+      const match = matchRule(job, child, groupFields);
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  if (rule.all) {
+    const matches = rule.all.map(child => matchRule(job, child, groupFields));
+    return matches.every(Boolean) ? `all(${matches.join(', ')})` : null;
+  }
+
+  if (rule.not) {
+    return matchRule(job, rule.not, groupFields) ? null : describeRule(rule);
+  }
+
+  throw new Error(`Filter: Unknown rule ${JSON.stringify(rule)}`);
+}
+
+/**
+ * Match a list of rules (any may match)
+ * @param {Object} job - Job object
+ * @param {Array} rules - Rules
+ * @param {Array} fields - Job fields to match against
+ * @returns {string|null} Description of the first matching rule, or null
+ */
+function matchAny(job, rules, fields) {
+  return matchRule(job, { any: rules }, fields);
+}
+
+/**
+ * Check if text matches any rule
+ * @param {string} text - Text to match
+ * @param {Array} rules - Rules
+ * @returns {boolean} True if any rule matches
+ */
+function matchesText(text, rules) {
+  return !!matchAny({ text }, rules, ['text']);
+}
+
+/**
+ * Match the role groups (filters.roles) against a job
+ * @param {Object} job - Job object
+ * @param {Object} roles - Role rules grouped by name
+ * @param {Array} [groupNames] - Only check these groups (default all)
+ * @returns {string|null} 'group: rule' of the first match, or null
+ */
+function matchRoles(job, roles, groupNames = Object.keys(roles)) {
+  for (const group of groupNames) {
+    const match = matchAny(job, roles[group] || [], SECTION_FIELDS.roles);
+    if (match) {
+      return `${group}: ${match}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a job's structured locations, parsing its location text if the scraper didn't
+ * @param {Object} job - Job object
+ * @returns {Array} Array of { city, region, country, workplaceType }
+ */
+function getLocations(job) {
+  if (!job.locations) {
+    job.locations = parseLocations(job.location);
+  }
+  return job.locations;
+}
+
+/**
+ * Match a job's structured locations against location rules
+ * @param {Object} job - Job object
+ * @param {Object} rules - Location rules
+ * @param {Array} [rules.countries] - ISO country codes (empty = any country)
+ * @param {boolean} [rules.remoteAnywhere] - Also match remote jobs that name no country
+ * @param {Array} [rules.workplaceTypes] - 'remote', 'hybrid', 'onsite' (empty = any)
+ * @param {boolean} [rules.keepUnknown] - Match jobs whose location couldn't be parsed
+ * @returns {string|null} Description of the matching location, or null
+ */
+function matchLocations(job, rules) {
+  const { countries = [], remoteAnywhere = false, workplaceTypes = [], keepUnknown = false } = rules;
+  const locations = getLocations(job);
+
+  if (locations.length === 0) {
+    return keepUnknown ? 'unknown location' : null;
+  }
+
+  const found = locations.find(loc => {
+    const matchesType = workplaceTypes.length === 0 || workplaceTypes.includes(loc.workplaceType);
+    const matchesPlace = countries.length === 0 || countries.includes(loc.country)
+      || (remoteAnywhere && loc.workplaceType === 'remote' && !loc.country);
+    return matchesType && matchesPlace;
+  });
+
+  return found ? describeLocation(found) : null;
+}
+
+/**
+ * Check if a job pays less than the configured minimum for its currency.
+ * Jobs without pay info, or in a currency with no minimum, are never below.
+ * @param {Object} job - Job object
+ * @param {Object} amounts - Yearly minimum by currency code
+ * @returns {boolean} True if the top of the range is below the minimum
+ */
+function isBelowMinSalary(job, amounts = {}) {
+  const comp = job.compensation;
+  const minimum = comp && amounts[comp.currency];
+  if (!minimum) {
+    return false;
+  }
+  return toAnnual(comp.max, comp.period) < minimum;
+}
+
+/**
+ * Evaluate a job against the filters
+ * @param {Object} job - Job object
+ * @param {Object} [filters] - Filter config (defaults to config.filters)
+ * @param {Array} [checks] - Sections to apply: 'roles', 'locations', 'exclude', 'minSalary'
+ * @returns {Object} { included, match: { role, location }, excludedBy, belowMinSalary }
+ */
+function evaluate(job, filters = config.filters, checks = ['roles', 'locations', 'exclude', 'minSalary']) {
+  const { roles = {}, locations = {}, exclude = [], minSalary } = filters;
+  const match = {};
+
+  if (checks.includes('roles') && Object.keys(roles).length > 0) {
+    match.role = matchRoles(job, roles);
+    if (!match.role) {
+      return { included: false, match, excludedBy: null };
+    }
+  }
+
+  if (checks.includes('locations') && Object.keys(locations).length > 0) {
+    // Structured rules, or a list of keyword rules matched against the location text
+    match.location = Array.isArray(locations)
+      ? matchAny(job, locations, SECTION_FIELDS.locations)
+      : matchLocations(job, locations);
+    if (!match.location) {
+      return { included: false, match, excludedBy: null };
+    }
+  }
+
+  if (checks.includes('exclude') && exclude.length > 0) {
+    const excludedBy = matchAny(job, exclude, SECTION_FIELDS.exclude);
+    if (excludedBy) {
+      return { included: false, match, excludedBy };
+    }
+  }
+
+  const belowMinSalary = checks.includes('minSalary') && !!minSalary
+    && isBelowMinSalary(job, minSalary.amounts);
+
+  if (belowMinSalary && minSalary.action === 'drop') {
+    return { included: false, match, excludedBy: `minSalary (${formatCompensation(job.compensation)})` };
+  }
+
+  return { included: true, match, excludedBy: null, belowMinSalary };
+}
+
+/**
+ * Filter jobs based on config filters.
+ * Kept jobs get a `filterMatch` property naming the rules that matched,
+ * and `belowMinSalary` if they were flagged by filters.minSalary.
+ * @param {Array} jobs - Array of job objects
+ * @param {Object} [options] - Options
+ * @param {Object} [options.filters] - Filter config (defaults to config.filters)
+ * @param {Array} [options.checks] - Sections to apply (default all)
+ * @returns {Array} Filtered jobs
+ */
+function filterJobs(jobs, { filters = config.filters, checks } = {}) {
+  return jobs.filter(job => {
+    const result = evaluate(job, filters, checks);
+    if (result.included) {
+      job.filterMatch = result.match;
+      job.belowMinSalary = result.belowMinSalary;
+    }
+    return result.included;
+  });
+}
+
+/**
+ * Get the plain keywords from a list of rules (for search queries)
+ * @param {Array} rules - Rules
+ * @returns {Array} Keyword strings (no regexes, globs or groups)
+ */
+function getKeywords(rules) {
+  return rules.filter(rule => typeof rule === 'string' && !isRegexRule(rule) && !isGlobRule(rule));
+}
+
+module.exports = {
+  filterJobs,
+  evaluate,
+  matchAny,
+  matchRoles,
+  matchLocations,
+  matchesText,
+  isBelowMinSalary,
+  getKeywords,
+  isRegexRule,
+};
@@ -2,7 +2,57 @@
  * Discord message formatter for job postings
  */
 
-const { EmbedBuilder } = require('discord.js');
+const { EmbedBuilder, embedLength } = require('discord.js');
+const config = require('../config');
+const { formatCompensation } = require('../utils/compensation');
+const scrapers = require('../scrapers');
+
+// Discord allows at most 10 embeds per message
+const MAX_EMBEDS_PER_MESSAGE = 10;
+
+// Embed color for postings that were taken down
+const CLOSED_COLOR = 0x95A5A6;
+
+// Discord limits: 25 fields per embed, 1024 characters per field value,
+// 6000 characters per embed (and across all embeds in a message)
+const MAX_EMBED_FIELDS = 25;
+const MAX_FIELD_LENGTH = 1024;
+const MAX_EMBED_LENGTH = 6000;
+
+// Discord limit for a message's text content
+const MAX_CONTENT_LENGTH = 2000;
+
+// Source shown for jobs that don't name one
+const UNKNOWN_SOURCE = 'Unknown';
+
+/**
+ * Format a job's pay, preferring the normalized range over raw text
+ * @param {Object} job - Job object
+ * @returns {string|null} Formatted pay or null
+ */
+function formatPay(job) {
+  const pay = formatCompensation(job.compensation) || job.salary;
+  if (pay && job.belowMinSalary) {
+    return `${pay} (below minimum)`;
+  }
+  return pay || null;
+}
+
+/**
+ * Describe when a reposted job was first seen and closed
+ * @param {Object} reposted - { firstSeen, closedAt }
+ * @returns {string} e.g. "first seen 2024-03-01, closed 2024-04-12"
+ */
+function formatRepost({ firstSeen, closedAt }) {
+  const parts = [];
+  if (firstSeen) {
+    parts.push(`first seen ${firstSeen.slice(0, 10)}`);
+  }
+  if (closedAt) {
+    parts.push(`closed ${closedAt.slice(0, 10)}`);
+  }
+  return parts.join(', ') || 'yes';
+}
 
 /**
  * Format a job posting as a Discord embed
@@ -10,11 +60,16 @@ const { EmbedBuilder } = require('discord.js');
  * @returns {EmbedBuilder} Discord embed
  */
 function formatJobEmbed(job) {
+  const title = job.reposted ? `[Reposted] ${job.title || 'Job Opportunity'}` : job.title || 'Job Opportunity';
+  const source = job.source || UNKNOWN_SOURCE;
   const embed = new EmbedBuilder()
-    .setTitle(job.title || 'Job Opportunity')
-    .setURL(job.url)
-    .setColor(getSourceColor(job.source))
-    .setTimestamp();
+    .setTitle(truncate(title, 256))
+    .setColor(getSourceColor(source))
+    .setTimestamp(job.scrapedAt ? new Date(job.scrapedAt) : new Date());
+
+  if (job.url) {
+    embed.setURL(job.url);
+  }
 
   // Build description
   const fields = [];
@@ -27,25 +82,69 @@ function formatJobEmbed(job) {
     fields.push({ name: 'Location', value: job.location, inline: true });
   }
   
+  const workplaceTypes = [...new Set((job.locations || []).map(loc => loc.workplaceType).filter(Boolean))];
+  if (workplaceTypes.length > 0) {
+    fields.push({ name: 'Workplace', value: workplaceTypes.join(', '), inline: true });
+  }
+
   if (job.team || job.department) {
     fields.push({ name: 'Team', value: job.team || job.department, inline: true });
   }
   
-  if (job.salary) {
-    fields.push({ name: 'Compensation', value: job.salary, inline: true });
+  const comp = formatPay(job);
+  if (comp) {
+    fields.push({ name: 'Compensation', value: comp, inline: true });
   }
   
   if (job.equity) {
     fields.push({ name: 'Equity', value: job.equity, inline: true });
   }
 
+  // Lever
+  if (job.commitment) {
+    fields.push({ name: 'Type', value: job.commitment, inline: true });
+  }
+
+  // Y Combinator
+  if (job.batch) {
+    fields.push({ name: 'Batch', value: job.batch, inline: true });
+  }
+
+  if (job.funding) {
+    fields.push({ name: 'Stage', value: job.funding, inline: true });
+  }
+
+  // Alert email card
+  if (job.easyApply) {
+    fields.push({ name: 'Apply', value: 'Easy Apply', inline: true });
+  }
+
+  if (job.postedAgo) {
+    fields.push({ name: 'Posted', value: job.postedAgo, inline: true });
+  }
+
+  // Alert email search
+  if (job.searchTerm) {
+    fields.push({ name: 'Alert', value: job.searchTerm, inline: true });
+  }
+
   // Add source
-  fields.push({ name: 'Source', value: job.source, inline: true });
+  fields.push({ name: 'Source', value: source, inline: true });
+
+  if (job.reposted) {
+    fields.push({ name: 'Reposted', value: formatRepost(job.reposted), inline: true });
+  }
+
+  // Same role on other boards
+  if (job.duplicates?.length) {
+    const links = job.duplicates.map(dup => `[${dup.source || UNKNOWN_SOURCE}](${dup.url})`).join(' · ');
+    fields.push({ name: 'Also on', value: links, inline: false });
+  }
 
-  embed.addFields(fields);
+  embed.addFields(fields.map(field => ({ ...field, value: truncate(String(field.value), MAX_FIELD_LENGTH) })));
 
   // Add footer with source icon
-  embed.setFooter({ text: `via ${job.source}` });
+  embed.setFooter({ text: `via ${source}` });
 
   return embed;
 }
@@ -56,44 +155,212 @@ function formatJobEmbed(job) {
  * @returns {string} Formatted message
  */
 function formatJobText(job) {
-  const lines = ['**New Job Alert**\n'];
+  const lines = [job.reposted ? '**Reposted Job Alert**\n' : '**New Job Alert**\n'];
   
   lines.push(`**Role:** ${job.title || '?'}`);
   lines.push(`**Company:** ${job.company || '?'}`);
   lines.push(`**Location:** ${job.location || '?'}`);
-  lines.push(`**Comp:** ${job.salary || '?'}`);
-  lines.push(`**Source:** ${job.source}`);
+  lines.push(`**Comp:** ${formatPay(job) || '?'}`);
+  lines.push(`**Source:** ${job.source || UNKNOWN_SOURCE}`);
+  if (job.reposted) {
+    lines.push(`**Reposted:** ${formatRepost(job.reposted)}`);
+  }
   lines.push('');
   lines.push(`Apply: ${job.url}`);
 
-  return lines.join('\n');
+  // Same role on other boards, dropping the last ones past Discord's limit
+  const others = (job.duplicates || []).map(dup => `Also on ${dup.source || UNKNOWN_SOURCE}: <${dup.url}>`);
+  let text = lines.concat(others).join('\n');
+  while (others.length && text.length > MAX_CONTENT_LENGTH) {
+    others.pop();
+    text = lines.concat(others).join('\n');
+  }
+
+  return truncate(text, MAX_CONTENT_LENGTH);
 }
 
 /**
- * Get color based on job source
+ * Build an edit marking a posted job as closed
+ * @param {Object} message - Discord message the job was posted in
+ * @param {number|null} embedIndex - Position of the job's embed, or null for a text post
+ * @returns {Object} Payload for message.edit()
+ */
+function formatClosedMessage(message, embedIndex) {
+  const edit = {};
+
+  if (message.content && !message.content.startsWith('**[Closed]**')) {
+    edit.content = truncate(`**[Closed]** ${message.content}`, MAX_CONTENT_LENGTH);
+  }
+
+  if (embedIndex !== null && embedIndex !== undefined && message.embeds[embedIndex]) {
+    edit.embeds = message.embeds.map((embed, index) => {
+      if (index !== embedIndex || embed.title?.startsWith('[Closed]')) {
+        return embed;
+      }
+      return EmbedBuilder.from(embed)
+        .setTitle(truncate(`[Closed] ${embed.title || 'Job Opportunity'}`, 256))
+        .setColor(CLOSED_COLOR);
+    });
+  }
+
+  return edit;
+}
+
+/**
+ * Format a user's subscription matches as a DM
+ * @param {Array} matches - Array of { job, subscription }
+ * @param {string} frequency - User's alert frequency ('instant', 'daily', 'weekly')
+ * @returns {Object} Payload for user.send()
+ */
+function formatAlertMessage(matches, frequency) {
+  const { maxJobsPerMessage } = config.subscriptions;
+
+  const lines = matches.slice(0, maxJobsPerMessage).map(({ job, subscription }) => {
+    const details = [job.company || '?', job.location, formatPay(job)].filter(Boolean).join(' · ');
+    const title = job.url ? `[${job.title}](${job.url})` : job.title;
+    return `**${title}**\n${details} _(${subscription})_`;
+  });
+
+  if (matches.length > maxJobsPerMessage) {
+    lines.push(`…and ${matches.length - maxJobsPerMessage} more`);
+  }
+
+  const heading = frequency === 'instant' ? 'New jobs for your alerts' : `Your ${frequency} job digest`;
+  const embed = new EmbedBuilder()
+    .setTitle(`${heading} (${matches.length})`)
+    .setDescription(truncate(lines.join('\n\n'), 4096))
+    .setColor(0x5865F2)
+    .setFooter({ text: 'Manage with /alerts' });
+
+  return { embeds: [embed] };
+}
+
+/**
+ * Format a digest of recent jobs as one embed.
+ * Groups that don't fit Discord's embed limits are summarized at the end.
+ * @param {Object} digest - Digest contents
+ * @param {string} digest.title - Embed title
+ * @param {Array} digest.groups - Array of { name, jobs }, in display order
+ * @param {boolean} digest.showCompany - Include the company in each job line
+ * @param {number} digest.total - Number of jobs in the digest
+ * @param {Object} digest.bySource - Job counts by source
+ * @returns {Object} Payload for channel.send()
+ */
+function formatDigest({ title, groups, showCompany, total, bySource }) {
+  const { maxJobsPerGroup } = config.digest;
+
+  const sources = Object.entries(bySource)
+    .sort(([, a], [, b]) => b - a)
+    .map(([source, count]) => `${source}: ${count}`)
+    .join(' · ');
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`${total} new jobs\n${sources}`)
+    .setColor(0x5865F2)
+    .setTimestamp(new Date());
+
+  // Leave room for the title, description and overflow note
+  let length = title.length + sources.length + 200;
+  let shown = 0;
+
+  for (const { name, jobs } of groups) {
+    const lines = jobs.slice(0, maxJobsPerGroup).map(job => {
+      const label = showCompany && job.company ? `${job.title} at ${job.company}` : job.title;
+      return job.url ? `• [${truncate(label || '?', 100)}](${job.url})` : `• ${truncate(label || '?', 100)}`;
+    });
+    if (jobs.length > maxJobsPerGroup) {
+      lines.push(`…and ${jobs.length - maxJobsPerGroup} more`);
+    }
+
+    const field = {
+      name: truncate(`${name} (${jobs.length})`, 256),
+      value: truncate(lines.join('\n'), 1024),
+    };
+    const fieldLength = field.name.length + field.value.length;
+    if (shown >= MAX_EMBED_FIELDS - 1 || length + fieldLength > MAX_EMBED_LENGTH) {
+      break;
+    }
+
+    embed.addFields(field);
+    length += fieldLength;
+    shown++;
+  }
+
+  if (shown < groups.length) {
+    const rest = groups.slice(shown).reduce((sum, group) => sum + group.jobs.length, 0);
+    embed.addFields({ name: 'More', value: `${rest} jobs in ${groups.length - shown} other groups` });
+  }
+
+  return { embeds: [embed] };
+}
+
+/**
+ * Shorten text to fit a Discord length limit
+ * @param {string} text - Text to shorten
+ * @param {number} max - Max length
+ * @returns {string} Shortened text
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Get color based on job source (from the scraper descriptors)
  * @param {string} source - Job source name
  * @returns {number} Discord color
  */
 function getSourceColor(source) {
-  const colors = {
-    'LinkedIn': 0x0A66C2,
-    'Lever': 0x1DB954,
-    'Greenhouse': 0x3AB549,
-    'Wellfound': 0x000000,
-    'Y Combinator': 0xFF6600,
-  };
-  return colors[source] || 0x5865F2;
+  const entry = scrapers.getSources().find(({ name }) => name === source);
+  return entry ? entry.color : 0x5865F2;
 }
 
 /**
  * Format multiple jobs for batch posting
+ *
+ * - text: one plain text message per job
+ * - embed: up to 10 embeds grouped into each message, within Discord's
+ *   6000 character limit for a message's embeds
+ * - both: one message per job with text and embed
+ *
  * @param {Array} jobs - Array of job objects
- * @returns {Array} Array of formatted messages
+ * @param {string} [mode] - 'text', 'embed' or 'both' (defaults to config.formatting.mode)
+ * @returns {Array} Array of { jobs, message } where message is ready for channel.send()
  */
-function formatJobBatch(jobs) {
+function formatJobBatch(jobs, mode = config.formatting.mode) {
+  if (mode === 'embed') {
+    const groups = [];
+    let group = null;
+    let length = 0;
+
+    jobs.forEach(job => {
+      const embed = formatJobEmbed(job);
+      const size = embedLength(embed.data);
+      if (!group || group.jobs.length >= MAX_EMBEDS_PER_MESSAGE || length + size > MAX_EMBED_LENGTH) {
+        group = { jobs: [], message: { embeds: [] } };
+        groups.push(group);
+        length = 0;
+      }
+      group.jobs.push(job);
+      group.message.embeds.push(embed);
+      length += size;
+    });
+    return groups;
+  }
+
+  if (mode === 'both') {
+    return jobs.map(job => ({
+      jobs: [job],
+      message: {
+        content: formatJobText(job),
+        embeds: [formatJobEmbed(job)],
+      },
+    }));
+  }
+
   return jobs.map(job => ({
-    content: formatJobText(job),
-    embeds: [formatJobEmbed(job)],
+    jobs: [job],
+    message: formatJobText(job),
   }));
 }
 
@@ -101,6 +368,9 @@ module.exports = {
   formatJobEmbed,
   formatJobText,
   formatJobBatch,
+  formatClosedMessage,
+  formatAlertMessage,
+  formatDigest,
   getSourceColor,
 };
 
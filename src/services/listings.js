@@ -0,0 +1,38 @@
+/**
+ * Board Listings Tracker
+ *
+ * Scrapers that fetch a company's whole board (Greenhouse, Lever, Ashby, Workday,
+ * SmartRecruiters, Workable) record every job ID it lists, filtered or not. After a check cycle the bot uses
+ * this to refresh jobs that are still listed and spot ones that disappeared.
+ * Boards that failed to load are never recorded, so their jobs aren't counted as missing.
+ * Boards only partly fetched (Workday searches) say which jobs the listing covers.
+ */
+
+// Board key ('greenhouse:stripe') -> { ids: Set of listed job IDs, covers } for the current cycle
+let boards = new Map();
+
+/**
+ * Record the jobs a board listed this cycle
+ * @param {string} board - Board key (e.g. 'lever:spotify')
+ * @param {Array} jobIds - IDs of every job on the board
+ * @param {Function} [covers] - For partial listings, returns true for tracked
+ *   jobs the listing would include if they were still open (default all)
+ */
+function recordBoard(board, jobIds, covers = null) {
+  boards.set(board, { ids: new Set(jobIds), covers });
+}
+
+/**
+ * Get the boards recorded since the last call, and start a new cycle
+ * @returns {Map} Board key -> { ids, covers }
+ */
+function takeBoards() {
+  const recorded = boards;
+  boards = new Map();
+  return recorded;
+}
+
+module.exports = {
+  recordBoard,
+  takeBoards,
+};
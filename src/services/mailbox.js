@@ -0,0 +1,435 @@
+/**
+ * Alert Mailbox
+ *
+ * Reads job alert emails over IMAP. The highest processed UID is saved with
+ * the mailbox's UIDVALIDITY, so each email is handled once across restarts;
+ * if UIDVALIDITY changes the UIDs were reset and the mailbox is read again
+ * from email.firstRunDays back. With email.idle the connection stays open
+ * and watch() is told as soon as new mail arrives (IMAP IDLE).
+ * Mailbox work runs one operation at a time.
+ */
+
+const Imap = require('imap');
+const { simpleParser } = require('mailparser');
+const config = require('../config');
+const db = require('./db');
+const logger = require('../utils/logger');
+
+// Wait before reconnecting a watched mailbox that dropped
+const RECONNECT_MS = 30 * 1000;
+// Wait before retrying a new-mail check that was skipped (a check was already running)
+const RETRY_MS = 30 * 1000;
+// Give the server this long to answer LOGOUT before dropping the socket
+const CLOSE_TIMEOUT_MS = 5 * 1000;
+
+// Promise of the open connection ({ imap, box }), or null
+let connection = null;
+// Chain of mailbox operations, so they run one at a time
+let operations = Promise.resolve();
+// New mail handler while watching
+let watcher = null;
+let reconnectTimer = null;
+let closing = false;
+
+/**
+ * Check whether email credentials are set
+ * @returns {boolean} True if configured
+ */
+function isConfigured() {
+  return !!(config.email.user && config.email.password);
+}
+
+/**
+ * Key for this account's mailbox in mailbox_state
+ * @returns {string} e.g. 'me@example.com@imap.example.com/INBOX'
+ */
+function getStateKey() {
+  return `${config.email.user}@${config.email.host}/${config.email.mailbox}`;
+}
+
+/**
+ * Run a mailbox operation after any in progress
+ * @param {Function} operation - Async function
+ * @returns {Promise} Operation result
+ */
+function exclusive(operation) {
+  const run = operations.then(operation, operation);
+  operations = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Open the connection and mailbox, reusing an open one
+ * @returns {Promise<Object>} { imap, box }
+ */
+function connect() {
+  if (connection) {
+    return connection;
+  }
+
+  const { processed } = config.email;
+  const readOnly = !processed || processed.action === 'none';
+
+  const attempt = new Promise((resolve, reject) => {
+    const imap = new Imap({
+      user: config.email.user,
+      password: config.email.password,
+      host: config.email.host,
+      port: config.email.port,
+      tls: true,
+      tlsOptions: { rejectUnauthorized: config.email.rejectUnauthorized },
+      connTimeout: 15000,
+      authTimeout: 10000,
+      // Keepalive uses IDLE when the server supports it
+      keepalive: config.email.idle,
+    });
+
+    imap.once('ready', () => {
+      imap.openBox(config.email.mailbox, readOnly, (error, box) => {
+        if (error) {
+          imap.end();
+          reject(error);
+          return;
+        }
+        logger.debug(`Mailbox: Opened ${config.email.mailbox} (${box.messages.total} messages)`);
+        resolve({ imap, box });
+      });
+    });
+
+    imap.once('error', reject);
+    imap.on('error', (error) => {
+      logger.error('Mailbox: IMAP error:', error.message);
+    });
+
+    imap.on('mail', () => {
+      if (watcher) {
+        watcher.notify();
+      }
+    });
+
+    imap.once('close', () => {
+      if (connection === attempt) {
+        connection = null;
+      }
+      logger.debug('Mailbox: Connection closed');
+      scheduleReconnect();
+    });
+
+    imap.connect();
+  });
+
+  connection = attempt;
+  attempt.catch(() => {
+    if (connection === attempt) {
+      connection = null;
+    }
+  });
+  return attempt;
+}
+
+/**
+ * Reconnect a watched mailbox after the connection drops, then check for
+ * mail that arrived meanwhile
+ */
+function scheduleReconnect() {
+  if (!watcher || closing || reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await connect();
+      logger.info('Mailbox: Reconnected');
+      watcher.notify();
+    } catch (error) {
+      logger.error('Mailbox: Reconnect failed:', error.message);
+      scheduleReconnect();
+    }
+  }, RECONNECT_MS);
+}
+
+/**
+ * Fetch full messages by UID
+ * @param {Imap} imap - Connection
+ * @param {Array} uids - Message UIDs
+ * @returns {Promise<Array>} [{ uid, source }] with the raw message as a Buffer
+ */
+function fetchMessages(imap, uids) {
+  return new Promise((resolve, reject) => {
+    const pending = [];
+    const fetch = imap.fetch(uids, { bodies: '' });
+
+    fetch.on('message', (message) => {
+      pending.push(new Promise((done) => {
+        const chunks = [];
+        let uid = null;
+        let bodyDone = Promise.resolve();
+
+        message.on('body', (stream) => {
+          bodyDone = new Promise((end) => {
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.once('end', end);
+          });
+        });
+        message.once('attributes', (attributes) => {
+          uid = attributes.uid;
+        });
+        message.once('end', async () => {
+          await bodyDone;
+          done({ uid, source: Buffer.concat(chunks) });
+        });
+      }));
+    });
+
+    fetch.once('error', reject);
+    fetch.once('end', () => {
+      Promise.all(pending).then(resolve, reject);
+    });
+  });
+}
+
+/**
+ * Search for unprocessed messages from the given senders
+ * @param {Imap} imap - Connection
+ * @param {Array} senders - Sender addresses
+ * @param {Object|null} state - Saved { lastUid }, or null to search by date
+ * @returns {Promise<Array>} Message UIDs, oldest first
+ */
+function searchNew(imap, senders, state) {
+  const from = senders
+    .map(sender => ['FROM', sender])
+    .reduce((either, criterion) => ['OR', either, criterion]);
+
+  const since = new Date();
+  since.setDate(since.getDate() - config.email.firstRunDays);
+  const criteria = state ? [['UID', `${state.lastUid + 1}:*`], from] : [['SINCE', since], from];
+
+  return new Promise((resolve, reject) => {
+    imap.search(criteria, (error, uids) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      // 'n:*' always matches the newest message, even below n
+      resolve(uids.filter(uid => !state || uid > state.lastUid).sort((a, b) => a - b));
+    });
+  });
+}
+
+/**
+ * Flag or move processed messages (email.processed)
+ * @param {Imap} imap - Connection
+ * @param {Array} uids - Message UIDs
+ */
+async function handleProcessed(imap, uids) {
+  const { processed } = config.email;
+  if (!processed || processed.action === 'none' || uids.length === 0) {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    const done = (error) => {
+      if (error) {
+        logger.error(`Mailbox: Could not ${processed.action} processed emails:`, error.message);
+      }
+      resolve();
+    };
+
+    if (processed.action === 'move') {
+      imap.move(uids, processed.folder, done);
+    } else {
+      imap.addFlags(uids, processed.flag || '\\Seen', done);
+    }
+  });
+}
+
+/**
+ * Get the saved position for this mailbox
+ * @param {number} uidValidity - Mailbox's current UIDVALIDITY
+ * @returns {Object|null} { lastUid }, or null if none saved or UIDVALIDITY changed
+ */
+function getState(uidValidity) {
+  const row = db.getDb()
+    .prepare('SELECT uid_validity, last_uid FROM mailbox_state WHERE mailbox = ?')
+    .get(getStateKey());
+
+  if (!row) {
+    return null;
+  }
+  if (row.uid_validity !== uidValidity) {
+    logger.warn(`Mailbox: UIDVALIDITY changed (${row.uid_validity} -> ${uidValidity}), reading the last ${config.email.firstRunDays} days again`);
+    return null;
+  }
+  return { lastUid: row.last_uid };
+}
+
+/**
+ * Save the position for this mailbox
+ * @param {number} uidValidity - Mailbox's UIDVALIDITY
+ * @param {number} lastUid - Highest processed UID
+ */
+function saveState(uidValidity, lastUid) {
+  db.getDb().prepare(`
+    INSERT INTO mailbox_state (mailbox, uid_validity, last_uid, updated_at)
+    VALUES (@mailbox, @uidValidity, @lastUid, @now)
+    ON CONFLICT (mailbox) DO UPDATE SET
+      uid_validity = excluded.uid_validity,
+      last_uid = excluded.last_uid,
+      updated_at = excluded.updated_at
+  `).run({ mailbox: getStateKey(), uidValidity, lastUid, now: new Date().toISOString() });
+}
+
+/**
+ * Handle every new email from the given senders.
+ * Emails are marked processed (and flagged or moved, see email.processed)
+ * after the handler runs, even if it throws for one of them.
+ * @param {Array} senders - Sender addresses (e.g. ['jobalerts-noreply@linkedin.com'])
+ * @param {Function} handler - Called with each parsed email (mailparser), returns an array
+ * @returns {Promise<Array>} Handler results, flattened
+ */
+function processNew(senders, handler) {
+  return exclusive(async () => {
+    if (!isConfigured()) {
+      logger.debug('Mailbox: Email credentials not configured, skipping');
+      return [];
+    }
+
+    try {
+      const { imap, box } = await connect();
+      const uidValidity = Number(box.uidvalidity);
+      const state = getState(uidValidity);
+
+      const uids = await searchNew(imap, senders, state);
+      if (uids.length === 0) {
+        logger.debug('Mailbox: No new alert emails');
+        return [];
+      }
+
+      logger.info(`Mailbox: Found ${uids.length} new alert emails`);
+      const messages = await fetchMessages(imap, uids);
+      const results = [];
+
+      for (const { uid, source } of messages) {
+        try {
+          const email = await simpleParser(source);
+          results.push(...handler(email));
+        } catch (error) {
+          logger.error(`Mailbox: Could not handle email ${uid}:`, error.message);
+        }
+      }
+
+      saveState(uidValidity, Math.max(state ? state.lastUid : 0, ...uids));
+      await handleProcessed(imap, uids);
+
+      return results;
+    } finally {
+      // Without IDLE the connection is only held for the check
+      if (!watcher) {
+        await disconnect();
+      }
+    }
+  });
+}
+
+/**
+ * Watch for new mail (IMAP IDLE) and call onMail when it arrives.
+ * onMail runs one at a time; mail that arrives meanwhile calls it again after.
+ * @param {Function} onMail - Async function; returning false means the check
+ *   was skipped (e.g. already running) and is retried later
+ */
+function watch(onMail) {
+  if (!isConfigured() || watcher) {
+    return;
+  }
+
+  let running = false;
+  let again = false;
+
+  watcher = {
+    async notify() {
+      if (running) {
+        again = true;
+        return;
+      }
+      running = true;
+      try {
+        do {
+          again = false;
+          const ran = await onMail();
+          if (ran === false && !closing) {
+            again = true;
+            await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+          }
+        } while (again && !closing);
+      } catch (error) {
+        logger.error('Mailbox: New mail check failed:', error.message);
+      } finally {
+        running = false;
+      }
+    },
+  };
+
+  connect()
+    .then(() => logger.info(`Mailbox: Watching ${config.email.mailbox} for new alerts`))
+    .catch((error) => {
+      logger.error('Mailbox: Could not connect:', error.message);
+      scheduleReconnect();
+    });
+}
+
+/**
+ * Close the connection, waiting for the server to end the session
+ * (or CLOSE_TIMEOUT_MS, then the socket is dropped)
+ */
+async function disconnect() {
+  const current = connection;
+  connection = null;
+  if (!current) {
+    return;
+  }
+
+  let imap;
+  try {
+    ({ imap } = await current);
+  } catch (error) {
+    return;
+  }
+  if (imap.state === 'disconnected') {
+    return;
+  }
+
+  await new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn('Mailbox: Server did not close the connection, dropping it');
+      imap.destroy();
+      resolve();
+    }, CLOSE_TIMEOUT_MS);
+
+    imap.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    imap.end();
+  });
+}
+
+/**
+ * Stop watching and close the mailbox once the current operation finishes
+ */
+async function close() {
+  closing = true;
+  watcher = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  await exclusive(disconnect);
+  logger.info('Mailbox: Closed');
+}
+
+module.exports = {
+  isConfigured,
+  processNew,
+  watch,
+  close,
+};
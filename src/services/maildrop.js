@@ -0,0 +1,411 @@
+/**
+ * Alert Mail Drop
+ *
+ * Reads job alert emails from files instead of IMAP (config.email.mode
+ * 'import'). Anything that can save an email - n8n, a mail filter, a script -
+ * drops .eml files or mbox files in email.import.directory, or POSTs them to
+ * the webhook, which saves them there. Each file is read once, then moved to
+ * processed/ (or failed/ if none of its emails could be handled).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Wait for a dropped file to stop changing before reading the directory
+const SETTLE_MS = 2 * 1000;
+// Wait before retrying a check that was skipped (a check was already running)
+const RETRY_MS = 30 * 1000;
+// Largest webhook payload accepted
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+
+// Dropped file extensions and how each is split into messages
+const FORMATS = {
+  '.eml': source => [source],
+  '.mbox': source => splitMbox(source),
+};
+
+// Chain of directory reads, so they run one at a time
+let operations = Promise.resolve();
+let watcher = null;
+let server = null;
+let settleTimer = null;
+let closing = false;
+
+/**
+ * Get the drop directory
+ * @returns {string} Absolute path
+ */
+function getDirectory() {
+  return path.resolve(__dirname, '../..', config.email.import.directory);
+}
+
+/**
+ * Run a directory read after any in progress
+ * @param {Function} operation - Async function
+ * @returns {Promise} Operation result
+ */
+function exclusive(operation) {
+  const run = operations.then(operation, operation);
+  operations = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Split an mbox file into messages.
+ * Messages start with a "From " line after a blank line; body lines
+ * escaped as ">From " (mboxrd) are unescaped.
+ * @param {Buffer} source - File contents
+ * @returns {Array} Raw messages as Buffers
+ */
+function splitMbox(source) {
+  const messages = [];
+  let lines = null;
+  let previous = '';
+
+  // latin1 keeps every byte as is
+  source.toString('latin1').split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('From ') && (lines === null || previous === '')) {
+      if (lines) {
+        messages.push(lines);
+      }
+      lines = [];
+    } else if (lines) {
+      lines.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previous = line;
+  });
+  if (lines) {
+    messages.push(lines);
+  }
+
+  return messages
+    .map(message => message.join('\n').trim())
+    .filter(Boolean)
+    .map(message => Buffer.from(message, 'latin1'));
+}
+
+/**
+ * List dropped files waiting to be read, oldest name first
+ * @param {string} dir - Drop directory
+ * @returns {Array} File names
+ */
+function listDropped(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .filter(name => FORMATS[path.extname(name).toLowerCase()])
+    .sort();
+}
+
+/**
+ * Move a read file out of the drop directory.
+ * A file of the same name already there is kept; the moved one gets a
+ * numbered suffix ('alert-1.eml').
+ * @param {string} dir - Drop directory
+ * @param {string} name - File name
+ * @param {string} folder - 'processed' or 'failed'
+ */
+function moveFile(dir, name, folder) {
+  const target = path.join(dir, folder);
+  fs.mkdirSync(target, { recursive: true });
+
+  const extension = path.extname(name);
+  const base = path.basename(name, extension);
+  let moved = name;
+  for (let count = 1; fs.existsSync(path.join(target, moved)); count++) {
+    moved = `${base}-${count}${extension}`;
+  }
+  fs.renameSync(path.join(dir, name), path.join(target, moved));
+}
+
+/**
+ * Handle every email in the files dropped since the last read.
+ * Files are moved to processed/ once at least one of their emails was
+ * handled, otherwise to failed/ (nothing recognized them, or they all failed).
+ * @param {Function} handler - Called with each parsed email (mailparser), returns an array
+ * @param {Function} [isHandled] - Returns true if the handler recognizes an
+ *   email (e.g. a parser for its sender), whatever it returns (default all)
+ * @returns {Promise<Array>} Handler results, flattened
+ */
+function processNew(handler, isHandled = () => true) {
+  return exclusive(async () => {
+    const dir = getDirectory();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const files = listDropped(dir);
+    if (files.length === 0) {
+      logger.debug('Mail drop: No new alert emails');
+      return [];
+    }
+
+    logger.info(`Mail drop: Found ${files.length} new files`);
+    const results = [];
+
+    for (const name of files) {
+      let messages;
+      try {
+        const split = FORMATS[path.extname(name).toLowerCase()];
+        messages = split(fs.readFileSync(path.join(dir, name)));
+      } catch (error) {
+        logger.error(`Mail drop: Could not read ${name}:`, error.message);
+        moveFile(dir, name, 'failed');
+        continue;
+      }
+
+      let handled = 0;
+      for (const source of messages) {
+        try {
+          const email = await simpleParser(source);
+          results.push(...handler(email));
+          if (isHandled(email)) {
+            handled++;
+          }
+        } catch (error) {
+          logger.error(`Mail drop: Could not handle an email in ${name}:`, error.message);
+        }
+      }
+
+      if (handled === 0) {
+        logger.warn(`Mail drop: No alert emails handled in ${name}, moving it to failed/`);
+      }
+      moveFile(dir, name, handled > 0 ? 'processed' : 'failed');
+    }
+
+    return results;
+  });
+}
+
+/**
+ * Save a webhook payload to the drop directory.
+ * It's written under a dotted name and renamed, so it's never read half written.
+ * @param {Buffer} body - Raw email, or an mbox
+ * @param {string} extension - '.eml' or '.mbox'
+ * @returns {string} Saved file name
+ */
+function saveDropped(body, extension) {
+  const dir = getDirectory();
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}${extension}`;
+  const temp = path.join(dir, `.${name}.tmp`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(temp, body);
+  fs.renameSync(temp, path.join(dir, name));
+  return name;
+}
+
+/**
+ * Check the webhook token (Authorization: Bearer <token>)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True if allowed
+ */
+function isAuthorized(req) {
+  const { token } = config.email.import.webhook;
+  if (!token) {
+    return true;
+  }
+  const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Read a request body, up to MAX_BODY_BYTES
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer|null>} Body, or null if too large
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.once('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks)));
+    req.once('error', reject);
+  });
+}
+
+/**
+ * Handle a webhook request.
+ * The body is the raw email (message/rfc822, text/plain), an mbox
+ * (application/mbox) or JSON { "raw": "<raw email>" }.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  const reply = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  try {
+    if (new URL(req.url, 'http://localhost').pathname !== config.email.import.webhook.path) {
+      reply(404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(405, { error: 'Use POST' });
+      return;
+    }
+    if (!isAuthorized(req)) {
+      reply(401, { error: 'Invalid token' });
+      return;
+    }
+
+    const body = await readBody(req);
+    if (!body) {
+      reply(413, { error: 'Email too large' });
+      return;
+    }
+
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    let raw = body;
+    if (type === 'application/json') {
+      const data = JSON.parse(body.toString('utf8'));
+      raw = typeof data.raw === 'string' ? Buffer.from(data.raw, 'utf8') : null;
+    }
+    if (!raw || raw.length === 0) {
+      reply(400, { error: 'No email in request' });
+      return;
+    }
+
+    const file = saveDropped(raw, type === 'application/mbox' ? '.mbox' : '.eml');
+    logger.debug(`Mail drop: Saved posted email as ${file}`);
+    reply(202, { file });
+    scheduleCheck();
+  } catch (error) {
+    logger.error('Mail drop: Webhook error:', error.message);
+    if (!res.headersSent) {
+      reply(400, { error: error.message });
+    }
+  }
+}
+
+/**
+ * Start the webhook server (email.import.webhook.port)
+ */
+function startWebhook() {
+  const { port, host } = config.email.import.webhook;
+  if (!port) {
+    return;
+  }
+  if (!config.email.import.webhook.token) {
+    logger.warn('Mail drop: Webhook has no token (EMAIL_WEBHOOK_TOKEN), anyone who can reach it can post emails');
+  }
+
+  server = http.createServer(handleRequest);
+  server.on('error', (error) => {
+    logger.error('Mail drop: Webhook server error:', error.message);
+  });
+  server.listen(port, host, () => {
+    logger.info(`Mail drop: Webhook listening on http://${host}:${port}${config.email.import.webhook.path}`);
+  });
+}
+
+/**
+ * Check the directory once dropped files stop changing
+ */
+function scheduleCheck() {
+  if (!watcher || closing) {
+    return;
+  }
+  clearTimeout(settleTimer);
+  settleTimer = setTimeout(() => watcher.notify(), SETTLE_MS);
+}
+
+/**
+ * Watch the drop directory (and start the webhook) and call onMail when
+ * files arrive. onMail runs one at a time; files that arrive meanwhile call
+ * it again after.
+ * @param {Function} onMail - Async function; returning false means the check
+ *   was skipped (e.g. already running) and is retried later
+ */
+function watch(onMail) {
+  if (watcher) {
+    return;
+  }
+
+  let running = false;
+  let again = false;
+
+  watcher = {
+    fsWatcher: null,
+    async notify() {
+      if (running) {
+        again = true;
+        return;
+      }
+      running = true;
+      try {
+        do {
+          again = false;
+          const ran = await onMail();
+          if (ran === false && !closing) {
+            again = true;
+            await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+          }
+        } while (again && !closing);
+      } catch (error) {
+        logger.error('Mail drop: New mail check failed:', error.message);
+      } finally {
+        running = false;
+      }
+    },
+  };
+
+  const dir = getDirectory();
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    watcher.fsWatcher = fs.watch(dir, (event, name) => {
+      if (name && FORMATS[path.extname(name).toLowerCase()] && !name.startsWith('.')) {
+        scheduleCheck();
+      }
+    });
+    watcher.fsWatcher.on('error', (error) => {
+      logger.error('Mail drop: Directory watch error:', error.message);
+    });
+    logger.info(`Mail drop: Watching ${dir} for new alerts`);
+  } catch (error) {
+    logger.error(`Mail drop: Could not watch ${dir}:`, error.message);
+  }
+
+  startWebhook();
+}
+
+/**
+ * Stop watching and the webhook once the current read finishes
+ */
+async function close() {
+  closing = true;
+  clearTimeout(settleTimer);
+  if (watcher?.fsWatcher) {
+    watcher.fsWatcher.close();
+  }
+  watcher = null;
+
+  if (server) {
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+    server = null;
+  }
+  await operations;
+  logger.info('Mail drop: Closed');
+}
+
+module.exports = {
+  processNew,
+  splitMbox,
+  watch,
+  close,
+};
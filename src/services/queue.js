@@ -0,0 +1,206 @@
+/**
+ * Outbound Post Queue
+ *
+ * Persists jobs waiting to be posted to Discord so that overflow beyond
+ * a batch and failed sends carry over to the next cycle and survive restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { isSameJob } = require('./cluster');
+
+// Queue path
+const QUEUE_PATH = path.join(__dirname, '../../data/queue.json');
+
+// In-memory queue, oldest first
+let entries = [];
+
+/**
+ * Initialize - load pending entries
+ */
+function init() {
+  try {
+    if (fs.existsSync(QUEUE_PATH)) {
+      const data = fs.readFileSync(QUEUE_PATH, 'utf8');
+      entries = JSON.parse(data);
+    } else {
+      entries = [];
+      save();
+    }
+
+    logger.info(`Queue: Loaded ${entries.length} pending jobs`);
+  } catch (error) {
+    logger.error('Queue: Failed to initialize:', error.message);
+    entries = [];
+  }
+}
+
+/**
+ * Save to disk
+ */
+function save() {
+  try {
+    const dir = path.dirname(QUEUE_PATH);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(QUEUE_PATH, JSON.stringify(entries, null, 2));
+  } catch (error) {
+    logger.error('Queue: Failed to save:', error.message);
+  }
+}
+
+/**
+ * Check if a job is already waiting to be posted
+ * @param {string} jobId - Unique job identifier
+ * @returns {boolean} True if job is queued
+ */
+function has(jobId) {
+  return entries.some(entry => entry.id === jobId);
+}
+
+/**
+ * Add jobs to the end of the queue
+ * @param {Array} items - Array of { job, channels } to post
+ * @returns {number} Number of jobs added
+ */
+function enqueue(items) {
+  const now = new Date().toISOString();
+  let added = 0;
+
+  items.forEach(({ job, channels }) => {
+    if (has(job.id) || channels.length === 0) {
+      return;
+    }
+    entries.push({
+      id: job.id,
+      job,
+      // Channels the job still has to be posted to
+      channels: [...channels],
+      // Channels it was already posted to
+      posted: [],
+      enqueuedAt: now,
+      attempts: 0,
+      nextAttempt: now,
+      lastError: null,
+    });
+    added++;
+  });
+
+  if (added > 0) {
+    save();
+    logger.debug(`Queue: Added ${added} jobs (${entries.length} pending)`);
+  }
+
+  return added;
+}
+
+/**
+ * Attach a job to a queued posting of the same role from another source,
+ * so it is listed as an extra link instead of posted again
+ * @param {Object} job - Job object (with any duplicates of its own)
+ * @returns {boolean} True if a matching queued job was found
+ */
+function addDuplicate(job) {
+  const entry = entries.find(e => isSameJob(e.job, job));
+  if (!entry) {
+    return false;
+  }
+
+  const { duplicates = [], ...posting } = job;
+  entry.job.duplicates = [...(entry.job.duplicates || []), posting, ...duplicates];
+  save();
+
+  logger.debug(`Queue: ${job.id} is a duplicate of queued ${entry.id}`);
+  return true;
+}
+
+/**
+ * Get entries that are ready to be posted
+ * @param {number} limit - Max entries to return
+ * @returns {Array} Queue entries, oldest first
+ */
+function getDue(limit) {
+  const now = new Date().toISOString();
+  return entries
+    .filter(entry => entry.nextAttempt <= now)
+    .slice(0, limit);
+}
+
+/**
+ * Record that a job was posted to a channel.
+ * The job leaves the queue once it was posted to all of its channels.
+ * @param {string} jobId - Job identifier
+ * @param {string} channelId - Channel the job was posted to
+ * @returns {boolean} True if the job has now been posted everywhere
+ */
+function markPosted(jobId, channelId) {
+  const entry = entries.find(e => e.id === jobId);
+  if (!entry) {
+    return false;
+  }
+
+  entry.channels = entry.channels.filter(id => id !== channelId);
+  entry.posted = [...(entry.posted || []), channelId];
+  if (entry.channels.length === 0) {
+    entries = entries.filter(e => e.id !== jobId);
+  }
+
+  save();
+  return entry.channels.length === 0;
+}
+
+/**
+ * Record a failed send and back off before the next attempt.
+ * Jobs that keep failing are dropped. Unless they reached some of their
+ * channels (entry.posted), they were never marked as seen, so they are
+ * picked up again if the posting is still listed.
+ * @param {string} jobId - Job identifier
+ * @param {Error} error - Send error
+ * @returns {Object|null} The dropped entry, or null if the job stays queued
+ */
+function recordFailure(jobId, error) {
+  const entry = entries.find(e => e.id === jobId);
+  if (!entry) {
+    return null;
+  }
+
+  const { maxAttempts, retryDelay } = config.queue;
+  entry.attempts++;
+  entry.lastError = error?.message || String(error);
+
+  if (entry.attempts >= maxAttempts) {
+    entries = entries.filter(e => e.id !== jobId);
+    logger.error(`Queue: Dropped ${jobId} after ${entry.attempts} failed attempts`);
+    save();
+    return entry;
+  }
+
+  const backoff = retryDelay * Math.pow(2, entry.attempts);
+  entry.nextAttempt = new Date(Date.now() + backoff).toISOString();
+  logger.warn(`Queue: ${jobId} failed (attempt ${entry.attempts}/${maxAttempts}), retrying after ${entry.nextAttempt}`);
+
+  save();
+  return null;
+}
+
+/**
+ * Get number of pending jobs
+ * @returns {number} Queue size
+ */
+function size() {
+  return entries.length;
+}
+
+module.exports = {
+  init,
+  has,
+  enqueue,
+  addDuplicate,
+  getDue,
+  markPosted,
+  recordFailure,
+  size,
+};
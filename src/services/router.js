@@ -0,0 +1,85 @@
+/**
+ * Channel Router
+ *
+ * Picks which Discord channels a job is posted to based on the
+ * routing rules in config.routing
+ */
+
+const config = require('../config');
+const { matchRoles, matchLocations, matchesText } = require('./filter');
+
+/**
+ * Check if a job matches a routing rule.
+ * Every criterion set on the rule must match; within a criterion any value may match.
+ * @param {Object} job - Job object
+ * @param {Object} rule - Routing rule
+ * @param {Array} [rule.roles] - Names of filters.roles groups matched against the title
+ * @param {Array} [rule.countries] - ISO country codes of the job's locations
+ * @param {Array} [rule.workplaceTypes] - 'remote', 'hybrid' or 'onsite'
+ * @param {Array} [rule.locations] - Keyword rules for the location text (see services/filter.js)
+ * @param {Array} [rule.sources] - Source names (e.g. 'Lever')
+ * @param {Array} [rule.companies] - Company names
+ * @returns {boolean} True if the job matches
+ */
+function matchesRule(job, rule) {
+  if (rule.roles && !matchRoles(job, config.filters.roles, rule.roles)) {
+    return false;
+  }
+
+  if ((rule.countries || rule.workplaceTypes) && !matchLocations(job, rule)) {
+    return false;
+  }
+
+  if (rule.locations && !matchesText(job.location, rule.locations)) {
+    return false;
+  }
+
+  if (rule.sources && !rule.sources.includes(job.source)) {
+    return false;
+  }
+
+  if (rule.companies) {
+    const companyLower = (job.company || '').toLowerCase();
+    if (!rule.companies.some(company => company.toLowerCase() === companyLower)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Get the channels a job should be posted to
+ * @param {Object} job - Job object
+ * @returns {Array} Channel IDs (the fallback channel if no rule matches)
+ */
+function route(job) {
+  const { rules, fallbackChannelId } = config.routing;
+
+  const channelIds = rules
+    .filter(rule => rule.channelId && matchesRule(job, rule))
+    .map(rule => rule.channelId);
+
+  if (channelIds.length === 0) {
+    return fallbackChannelId ? [fallbackChannelId] : [];
+  }
+
+  // A job can match several rules pointing at the same channel
+  return [...new Set(channelIds)];
+}
+
+/**
+ * Get every channel ID used by the routing table
+ * @returns {Array} Channel IDs
+ */
+function getChannelIds() {
+  const { rules, fallbackChannelId } = config.routing;
+  const ids = rules.map(rule => rule.channelId).concat(fallbackChannelId);
+  return [...new Set(ids.filter(Boolean))];
+}
+
+module.exports = {
+  route,
+  matchesRule,
+  getChannelIds,
+};
@@ -1,59 +1,151 @@
 /**
  * Job Scheduler Service
- * 
- * Uses node-cron to schedule periodic job checks
+ *
+ * Runs named tasks on cron schedules from config.schedule. Each entry is a
+ * cron expression, null (disabled), or { cron, jitter } where jitter is the
+ * max random delay in seconds before each scheduled run. A task never runs
+ * twice at once: a run that comes up while the last one is still going is skipped.
  */
 
 const cron = require('node-cron');
 const config = require('../config');
 const logger = require('../utils/logger');
 
-// Store scheduled tasks
-const tasks = {};
+// Stop looking for a next run after a year (e.g. '0 0 30 2 *' never matches)
+const NEXT_RUN_LIMIT_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Cron fields (seconds first) with their ranges and value names
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// Task state by name
+const tasks = new Map();
 
 /**
- * Start scheduled tasks
- * @param {Object} handlers - Task handlers
- * @param {Function} handlers.jobCheck - Handler for job board scraping
- * @param {Function} handlers.emailCheck - Handler for email parsing
+ * Read a schedule entry from config.schedule
+ * @param {string|Object|null} entry - Cron expression or { cron, jitter }
+ * @returns {Object} { expression, jitter } (expression is null if disabled)
  */
-function start(handlers) {
-  const { jobCheck, emailCheck } = config.schedule;
-  
-  // Schedule job board scraping
-  if (handlers.jobCheck && jobCheck) {
-    if (cron.validate(jobCheck)) {
-      tasks.jobCheck = cron.schedule(jobCheck, async () => {
-        logger.info('Scheduler: Running scheduled job check');
-        try {
-          await handlers.jobCheck();
-        } catch (error) {
-          logger.error('Scheduler: Job check failed:', error.message);
-        }
-      });
-      logger.info(`Scheduler: Job check scheduled (${jobCheck})`);
-    } else {
-      logger.error(`Scheduler: Invalid cron expression for jobCheck: ${jobCheck}`);
-    }
+function parseSchedule(entry) {
+  if (entry && typeof entry === 'object') {
+    return { expression: entry.cron || null, jitter: entry.jitter || 0 };
   }
-  
-  // Schedule email parsing
-  if (handlers.emailCheck && emailCheck) {
-    if (cron.validate(emailCheck)) {
-      tasks.emailCheck = cron.schedule(emailCheck, async () => {
-        logger.info('Scheduler: Running scheduled email check');
-        try {
-          await handlers.emailCheck();
-        } catch (error) {
-          logger.error('Scheduler: Email check failed:', error.message);
-        }
-      });
-      logger.info(`Scheduler: Email check scheduled (${emailCheck})`);
-    } else {
-      logger.error(`Scheduler: Invalid cron expression for emailCheck: ${emailCheck}`);
+  return { expression: entry || null, jitter: 0 };
+}
+
+/**
+ * Get a task's state, creating it if needed
+ * @param {string} name - Task name
+ * @returns {Object} Task state
+ */
+function getTask(name) {
+  if (!tasks.has(name)) {
+    tasks.set(name, {
+      handler: null,
+      expression: null,
+      jitter: 0,
+      cronTask: null,
+      running: false,
+      lastRun: null,
+      lastDuration: null,
+      lastResult: null,
+    });
+  }
+  return tasks.get(name);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in ms
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run a task unless it is already running
+ * @param {string} name - Task name
+ * @param {Function} handler - Task handler
+ * @param {Object} [options] - Options
+ * @param {number} [options.jitter=0] - Max random delay in seconds before running
+ * @returns {Promise<boolean>} False if skipped because it was already running
+ * @throws {Error} If the handler fails
+ */
+async function runTask(name, handler, { jitter = 0 } = {}) {
+  const task = getTask(name);
+
+  if (task.running) {
+    logger.warn(`Scheduler: ${name} is still running, skipping this run`);
+    return false;
+  }
+
+  // Hold the lock through the jitter delay too
+  task.running = true;
+  try {
+    if (jitter > 0) {
+      await sleep(Math.random() * jitter * 1000);
+    }
+
+    const started = Date.now();
+    task.lastRun = new Date(started).toISOString();
+    try {
+      await handler();
+      task.lastResult = 'success';
+    } catch (error) {
+      task.lastResult = `failed: ${error.message}`;
+      throw error;
+    } finally {
+      task.lastDuration = Date.now() - started;
     }
+  } finally {
+    task.running = false;
   }
-  
+
+  return true;
+}
+
+/**
+ * Start scheduled tasks.
+ * Every handler is registered (so it can be triggered manually);
+ * those with a schedule also run on it.
+ * @param {Object} handlers - Task handlers by name (e.g. { jobCheck, digest })
+ * @param {Object} [schedules] - Schedule entries by task name (defaults to config.schedule)
+ */
+function start(handlers, schedules = config.schedule) {
+  Object.entries(handlers).forEach(([name, handler]) => {
+    const { expression, jitter } = parseSchedule(schedules[name]);
+    const task = getTask(name);
+    task.handler = handler;
+    task.expression = expression;
+    task.jitter = jitter;
+
+    if (!expression) {
+      return;
+    }
+
+    if (!cron.validate(expression)) {
+      logger.error(`Scheduler: Invalid cron expression for ${name}: ${expression}`);
+      task.expression = null;
+      return;
+    }
+
+    task.cronTask = cron.schedule(expression, async () => {
+      logger.info(`Scheduler: Running scheduled ${name}`);
+      try {
+        await runTask(name, handler, { jitter });
+      } catch (error) {
+        logger.error(`Scheduler: ${name} failed:`, error.message);
+      }
+    });
+    logger.info(`Scheduler: ${name} scheduled (${expression}${jitter ? `, up to ${jitter}s jitter` : ''})`);
+  });
+
   logger.info('Scheduler: All tasks started');
 }
 
@@ -61,9 +153,10 @@ function start(handlers) {
  * Stop all scheduled tasks
  */
 function stop() {
-  Object.keys(tasks).forEach(name => {
-    if (tasks[name]) {
-      tasks[name].stop();
+  tasks.forEach((task, name) => {
+    if (task.cronTask) {
+      task.cronTask.stop();
+      task.cronTask = null;
       logger.info(`Scheduler: Stopped ${name}`);
     }
   });
@@ -71,30 +164,116 @@ function stop() {
 }
 
 /**
- * Get status of scheduled tasks
- * @returns {Object} Task status
+ * Read one cron field into the values it matches, the way node-cron does
+ * (names, ranges, lists, and steps that keep values divisible by the step)
+ * @param {string} field - Field text (e.g. '0-30/10', '1-5', 'mon,wed')
+ * @param {Object} range - { min, max, names } from CRON_FIELDS
+ * @returns {Set} Matching values
+ */
+function parseCronField(field, { min, max, names = [] }) {
+  const values = new Set();
+  const toNumber = (text) => {
+    const index = names.findIndex(name => text.toLowerCase().startsWith(name));
+    return index === -1 ? Number(text) : min + index;
+  };
+
+  field.split(',').forEach((part) => {
+    const [base, step] = part.split('/');
+    let [from, to] = base === '*' ? [min, max] : base.split('-').map(toNumber);
+    if (to === undefined) {
+      to = step ? max : from;
+    }
+    for (let value = Math.min(from, to); value <= Math.max(from, to); value++) {
+      if (!step || value % Number(step) === 0) {
+        values.add(value);
+      }
+    }
+  });
+
+  // Sunday is 0 or 7
+  if (max === 7 && values.has(7)) {
+    values.add(0);
+  }
+  return values;
+}
+
+/**
+ * Get the next time a cron expression fires
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @param {Date} [from] - Start time (default now)
+ * @returns {Date|null} Next run, or null if none within a year
+ */
+function getNextRun(expression, from = new Date()) {
+  const parts = expression.trim().split(/\s+/);
+  const fields = (parts.length === 5 ? ['0', ...parts] : parts)
+    .map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  const [seconds, minutes, hours, days, months, weekdays] = fields;
+
+  const candidate = new Date(from);
+  candidate.setMilliseconds(0);
+  candidate.setSeconds(candidate.getSeconds() + 1);
+  const limit = from.getTime() + NEXT_RUN_LIMIT_MS;
+
+  // Skip ahead by the largest unit that doesn't match
+  while (candidate.getTime() <= limit) {
+    if (!months.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0);
+    } else if (!days.has(candidate.getDate()) || !weekdays.has(candidate.getDay())) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0);
+    } else if (!hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0);
+    } else if (!minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0);
+    } else if (!seconds.has(candidate.getSeconds())) {
+      candidate.setSeconds(candidate.getSeconds() + 1);
+    } else {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get status of tasks
+ * @returns {Object} Task status by name:
+ *   { schedule, jitter, running, lastRun, lastDuration (ms), lastResult, nextRun }
  */
 function getStatus() {
   const status = {};
-  
-  Object.keys(tasks).forEach(name => {
+
+  tasks.forEach((task, name) => {
+    const nextRun = task.cronTask ? getNextRun(task.expression) : null;
     status[name] = {
-      running: tasks[name]?.running || false,
+      schedule: task.expression,
+      jitter: task.jitter,
+      running: task.running,
+      lastRun: task.lastRun,
+      lastDuration: task.lastDuration,
+      lastResult: task.lastResult,
+      nextRun: nextRun ? nextRun.toISOString() : null,
     };
   });
-  
+
   return status;
 }
 
 /**
- * Manually trigger a task
+ * Manually trigger a task (shares the task's lock with scheduled runs)
  * @param {string} taskName - Name of task to trigger
- * @param {Function} handler - Task handler
+ * @param {Function} [handler] - Task handler (defaults to the registered one)
+ * @returns {Promise<boolean>} False if skipped because it was already running
+ * @throws {Error} If the task is unknown or fails
  */
-async function trigger(taskName, handler) {
+async function trigger(taskName, handler = getTask(taskName).handler) {
+  if (!handler) {
+    throw new Error(`Unknown task: ${taskName}`);
+  }
+
   logger.info(`Scheduler: Manually triggering ${taskName}`);
   try {
-    await handler();
+    return await runTask(taskName, handler);
   } catch (error) {
     logger.error(`Scheduler: ${taskName} failed:`, error.message);
     throw error;
@@ -112,10 +291,12 @@ function describeCron(expression) {
     '*/30 * * * *': 'Every 30 minutes',
     '*/15 * * * *': 'Every 15 minutes',
     '0 */2 * * *': 'Every 2 hours',
+    '0 */6 * * *': 'Every 6 hours',
     '0 9 * * *': 'Daily at 9 AM',
     '0 9 * * 1-5': 'Weekdays at 9 AM',
+    '0 9 * * 1': 'Mondays at 9 AM',
   };
-  
+
   return descriptions[expression] || expression;
 }
 
@@ -123,7 +304,7 @@ module.exports = {
   start,
   stop,
   getStatus,
+  getNextRun,
   trigger,
   describeCron,
 };
-
@@ -0,0 +1,382 @@
+/**
+ * Job Alert Subscriptions
+ *
+ * Members save their own filters with /alerts. New jobs from each check are
+ * matched against every subscription and held in the database until they are
+ * sent as a DM, either right away or as a daily/weekly digest.
+ *
+ * Subscription fields (all optional except keywords, any entry may match):
+ * - keywords: title keywords and globs, as in config.filters (regexes aren't
+ *   accepted from members: a bad or slow one would hold up every check)
+ * - companies: company name keywords and globs
+ * - locations: countries or workplace types ('Canada', 'remote', 'remote US'),
+ *   or other place names matched against the location text ('Toronto')
+ * - sources: source names ('Greenhouse')
+ * - minSalary/currency: yearly minimum; jobs without pay info still match
+ */
+
+const config = require('../config');
+const db = require('./db');
+const { matchAny, matchLocations, isBelowMinSalary, isRegexRule } = require('./filter');
+const { parseLocation } = require('../utils/location');
+const logger = require('../utils/logger');
+
+// Minimum time between digests
+const DIGEST_INTERVALS = {
+  instant: 0,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Checks don't run at exactly the same second each day, so allow some slack
+const DIGEST_GRACE_MS = 10 * 60 * 1000;
+
+const FREQUENCIES = Object.keys(DIGEST_INTERVALS);
+
+// Wildcards allowed in one member keyword
+const MAX_WILDCARDS = 3;
+
+/**
+ * Convert a subscriptions row to an object
+ * @param {Object} row - Row from the subscriptions table
+ * @returns {Object} Subscription
+ */
+function rowToSubscription(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keywords: JSON.parse(row.keywords),
+    companies: JSON.parse(row.companies),
+    locations: JSON.parse(row.locations),
+    sources: JSON.parse(row.sources),
+    minSalary: row.min_salary,
+    currency: row.currency,
+  };
+}
+
+/**
+ * Get a user's delivery settings
+ * @param {string} userId - Discord user ID
+ * @returns {Object} { muted, pausedUntil, frequency, lastSentAt }
+ */
+function getSettings(userId) {
+  const row = db.getDb().prepare('SELECT * FROM subscribers WHERE user_id = ?').get(userId);
+  return {
+    muted: !!row?.muted,
+    pausedUntil: row?.paused_until || null,
+    frequency: row?.frequency || 'instant',
+    lastSentAt: row?.last_sent_at || null,
+  };
+}
+
+/**
+ * Update a user's delivery settings
+ * @param {string} userId - Discord user ID
+ * @param {Object} settings - Settings to change
+ * @param {boolean} [settings.muted] - Stop all alerts (matches are dropped)
+ * @param {string|null} [settings.pausedUntil] - Hold alerts until this ISO time
+ * @param {string} [settings.frequency] - 'instant', 'daily' or 'weekly'
+ */
+function updateSettings(userId, settings) {
+  if (settings.frequency && !FREQUENCIES.includes(settings.frequency)) {
+    throw new Error(`Unknown alert frequency: ${settings.frequency}`);
+  }
+
+  const current = getSettings(userId);
+  const next = { ...current, ...settings };
+
+  db.getDb().prepare(`
+    INSERT INTO subscribers (user_id, muted, paused_until, frequency, last_sent_at)
+    VALUES (@userId, @muted, @pausedUntil, @frequency, @lastSentAt)
+    ON CONFLICT (user_id) DO UPDATE SET
+      muted = excluded.muted,
+      paused_until = excluded.paused_until,
+      frequency = excluded.frequency
+  `).run({ userId, ...next, muted: next.muted ? 1 : 0 });
+
+  // Muting drops anything already waiting
+  if (next.muted) {
+    db.getDb().prepare('DELETE FROM subscription_matches WHERE user_id = ?').run(userId);
+  }
+}
+
+/**
+ * Check member-supplied keywords: plain words and globs only
+ * @param {Array} entries - Keywords, company names or places
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateKeywords(entries) {
+  const regex = entries.find(isRegexRule);
+  if (regex) {
+    return `Regex keywords like ${regex} aren't supported in alerts. Use words or globs (e.g. "engineer*").`;
+  }
+  const wild = entries.find(entry => (entry.match(/[*?]/g) || []).length > MAX_WILDCARDS);
+  if (wild) {
+    return `"${wild}" has too many wildcards (at most ${MAX_WILDCARDS}).`;
+  }
+  return null;
+}
+
+/**
+ * Keep the entries that are safe to match (subscriptions saved before
+ * validation may hold regexes)
+ * @param {Array} entries - Keywords, company names or places
+ * @returns {Array} Plain words and globs
+ */
+function memberRules(entries) {
+  return entries.filter(entry => !isRegexRule(entry));
+}
+
+/**
+ * Save a subscription (replaces one with the same name)
+ * @param {string} userId - Discord user ID
+ * @param {Object} subscription - Subscription fields
+ * @throws {Error} If a keyword is invalid or the user already has the
+ *   maximum number of subscriptions
+ */
+function addSubscription(userId, subscription) {
+  const conn = db.getDb();
+  const { maxPerUser } = config.subscriptions;
+
+  const problem = validateKeywords([
+    ...(subscription.keywords || []),
+    ...(subscription.companies || []),
+    ...(subscription.locations || []),
+  ]);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const existing = listSubscriptions(userId);
+  if (existing.length >= maxPerUser && !existing.some(sub => sub.name === subscription.name)) {
+    throw new Error(`You can have at most ${maxPerUser} alerts. Remove one first.`);
+  }
+
+  conn.prepare(`
+    INSERT INTO subscriptions (user_id, name, keywords, companies, locations, sources, min_salary, currency, created_at)
+    VALUES (@userId, @name, @keywords, @companies, @locations, @sources, @minSalary, @currency, @now)
+    ON CONFLICT (user_id, name) DO UPDATE SET
+      keywords = excluded.keywords,
+      companies = excluded.companies,
+      locations = excluded.locations,
+      sources = excluded.sources,
+      min_salary = excluded.min_salary,
+      currency = excluded.currency
+  `).run({
+    userId,
+    name: subscription.name,
+    keywords: JSON.stringify(subscription.keywords || []),
+    companies: JSON.stringify(subscription.companies || []),
+    locations: JSON.stringify(subscription.locations || []),
+    sources: JSON.stringify(subscription.sources || []),
+    minSalary: subscription.minSalary || null,
+    currency: subscription.minSalary ? subscription.currency || 'USD' : null,
+    now: new Date().toISOString(),
+  });
+
+  logger.info(`Subscriptions: Saved "${subscription.name}" for user ${userId}`);
+}
+
+/**
+ * Remove a subscription
+ * @param {string} userId - Discord user ID
+ * @param {string} name - Subscription name
+ * @returns {boolean} True if it existed
+ */
+function removeSubscription(userId, name) {
+  const { changes } = db.getDb()
+    .prepare('DELETE FROM subscriptions WHERE user_id = ? AND name = ?')
+    .run(userId, name);
+  return changes > 0;
+}
+
+/**
+ * Get a user's subscriptions
+ * @param {string} userId - Discord user ID
+ * @returns {Array} Subscriptions, oldest first
+ */
+function listSubscriptions(userId) {
+  return db.getDb()
+    .prepare('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY id')
+    .all(userId)
+    .map(rowToSubscription);
+}
+
+/**
+ * Match one subscription location entry against a job.
+ * Countries and workplace types use the structured locations; other
+ * places (cities, regions) match the location text.
+ * @param {Object} job - Job object
+ * @param {string} entry - Location entry (e.g. 'remote US', 'Toronto')
+ * @returns {boolean} True if the job is in that location
+ */
+function matchesLocationEntry(job, entry) {
+  const parsed = parseLocation(entry);
+
+  if (parsed && !parsed.city && !parsed.region) {
+    return !!matchLocations(job, {
+      countries: parsed.country ? [parsed.country] : [],
+      workplaceTypes: parsed.workplaceType ? [parsed.workplaceType] : [],
+    });
+  }
+
+  return !!matchAny(job, [entry], ['location']);
+}
+
+/**
+ * Check if a job matches a subscription
+ * @param {Object} job - Job object
+ * @param {Object} subscription - Subscription
+ * @returns {boolean} True if every set field matches
+ */
+function matchesSubscription(job, subscription) {
+  const { sources, minSalary, currency } = subscription;
+  const keywords = memberRules(subscription.keywords);
+  const companies = memberRules(subscription.companies);
+  const locations = memberRules(subscription.locations);
+
+  // A list left empty by dropping regexes matches nothing
+  if (subscription.keywords.length > 0 && !matchAny(job, keywords, ['title'])) {
+    return false;
+  }
+  if (subscription.companies.length > 0 && !matchAny(job, companies, ['company'])) {
+    return false;
+  }
+  if (subscription.locations.length > 0 && !locations.some(entry => matchesLocationEntry(job, entry))) {
+    return false;
+  }
+  if (sources.length > 0 && !sources.some(source => source.toLowerCase() === (job.source || '').toLowerCase())) {
+    return false;
+  }
+  if (minSalary && isBelowMinSalary(job, { [currency]: minSalary })) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Match new jobs against every subscription and hold the matches for delivery.
+ * Muted users are skipped.
+ * @param {Array} jobs - New job objects
+ * @returns {number} Number of matches recorded
+ */
+function recordMatches(jobs) {
+  if (jobs.length === 0) {
+    return 0;
+  }
+
+  const conn = db.getDb();
+  const subscriptions = conn.prepare(`
+    SELECT subscriptions.* FROM subscriptions
+    LEFT JOIN subscribers USING (user_id)
+    WHERE coalesce(subscribers.muted, 0) = 0
+  `).all().map(rowToSubscription);
+
+  const insert = conn.prepare(`
+    INSERT OR IGNORE INTO subscription_matches (user_id, job_id, subscription, job, matched_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  let count = 0;
+  const now = new Date().toISOString();
+
+  conn.transaction(() => {
+    for (const subscription of subscriptions) {
+      try {
+        for (const job of jobs) {
+          if (matchesSubscription(job, subscription)) {
+            const { duplicates, ...data } = job;
+            count += insert.run(subscription.userId, job.id, subscription.name, JSON.stringify(data), now).changes;
+          }
+        }
+      } catch (error) {
+        // One broken subscription shouldn't stop the others
+        logger.error(`Subscriptions: Could not match "${subscription.name}" for user ${subscription.userId}:`, error.message);
+      }
+    }
+  })();
+
+  if (count > 0) {
+    logger.info(`Subscriptions: ${count} new matches`);
+  }
+  return count;
+}
+
+/**
+ * Check if a user's alerts are due to be sent
+ * @param {Object} settings - User settings from getSettings
+ * @param {Date} now - Current time
+ * @returns {boolean} True if due
+ */
+function isDue(settings, now) {
+  if (settings.muted) {
+    return false;
+  }
+  if (settings.pausedUntil && new Date(settings.pausedUntil) > now) {
+    return false;
+  }
+  if (!settings.lastSentAt) {
+    return true;
+  }
+
+  const interval = DIGEST_INTERVALS[settings.frequency] || 0;
+  return now - new Date(settings.lastSentAt) >= interval - DIGEST_GRACE_MS;
+}
+
+/**
+ * Get the matches ready to send, per the users' mute, pause and frequency settings
+ * @returns {Array} Array of { userId, matches: [{ job, subscription }] }
+ */
+function getDueAlerts() {
+  const now = new Date();
+  const rows = db.getDb()
+    .prepare('SELECT * FROM subscription_matches ORDER BY matched_at')
+    .all();
+
+  const byUser = new Map();
+  rows.forEach(row => {
+    if (!byUser.has(row.user_id)) {
+      byUser.set(row.user_id, []);
+    }
+    byUser.get(row.user_id).push({ job: JSON.parse(row.job), subscription: row.subscription });
+  });
+
+  return [...byUser]
+    .filter(([userId]) => isDue(getSettings(userId), now))
+    .map(([userId, matches]) => ({ userId, matches }));
+}
+
+/**
+ * Remove sent matches and record the send time
+ * @param {string} userId - Discord user ID
+ * @param {Array} jobIds - IDs of the jobs that were sent
+ */
+function markSent(userId, jobIds) {
+  const conn = db.getDb();
+  const now = new Date().toISOString();
+
+  conn.transaction(() => {
+    conn.prepare(`
+      DELETE FROM subscription_matches
+      WHERE user_id = ? AND job_id IN (SELECT value FROM json_each(?))
+    `).run(userId, JSON.stringify(jobIds));
+    conn.prepare(`
+      INSERT INTO subscribers (user_id, last_sent_at) VALUES (?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET last_sent_at = excluded.last_sent_at
+    `).run(userId, now);
+  })();
+}
+
+module.exports = {
+  FREQUENCIES,
+  getSettings,
+  updateSettings,
+  addSubscription,
+  removeSubscription,
+  listSubscriptions,
+  matchesSubscription,
+  recordMatches,
+  getDueAlerts,
+  markSent,
+};
@@ -0,0 +1,56 @@
+/**
+ * Company list helpers
+ *
+ * config.companies lists each board's companies either as a plain array or
+ * grouped into named sections ({ 'Fintech': ['stripe', ...] }). Entries are
+ * slugs, or objects for boards that need more than a slug (Workday tenants).
+ */
+
+const config = require('../config');
+
+/**
+ * Get the key identifying a company entry (used in job.board)
+ * @param {string|Object} entry - Slug, or object with a tenant or host
+ * @returns {string} Key (the slug, or the tenant / first label of the host)
+ */
+function getCompanyKey(entry) {
+  if (typeof entry === 'string') {
+    return entry;
+  }
+  return entry.tenant || (entry.host || '').split('.')[0];
+}
+
+/**
+ * Get every company configured for a board
+ * @param {string} board - Board name in config.companies (e.g. 'greenhouse')
+ * @returns {Array} Company entries (usually slugs)
+ */
+function getCompanySlugs(board) {
+  const companies = config.companies[board] || [];
+  return Array.isArray(companies) ? companies : Object.values(companies).flat();
+}
+
+/**
+ * Get the config.companies section a job's company is listed under
+ * @param {Object} job - Job object (uses job.board, e.g. 'greenhouse:stripe')
+ * @returns {string|null} Section name, or null if not in a section
+ */
+function getCompanyCategory(job) {
+  const [board, slug] = (job.board || '').split(':');
+  const companies = config.companies[board];
+  if (!slug || !companies || Array.isArray(companies)) {
+    return null;
+  }
+
+  // Some boards lowercase the slug (SmartRecruiters), so compare without case
+  const key = slug.toLowerCase();
+  const section = Object.entries(companies)
+    .find(([, entries]) => entries.some(entry => getCompanyKey(entry).toLowerCase() === key));
+  return section ? section[0] : null;
+}
+
+module.exports = {
+  getCompanyKey,
+  getCompanySlugs,
+  getCompanyCategory,
+};
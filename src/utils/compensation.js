@@ -0,0 +1,260 @@
+/**
+ * Compensation parsing and formatting
+ *
+ * Normalizes salary info from every source to
+ * { min, max, currency, period } where period is 'hour', 'day', 'week', 'month' or 'year'
+ */
+
+// Currency symbols and codes we recognize
+const SYMBOLS = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'A$': 'AUD',
+  '$': 'USD',
+  '£': 'GBP',
+  '€': 'EUR',
+};
+const CODES = ['USD', 'CAD', 'GBP', 'EUR', 'AUD'];
+
+const SYMBOL = '(US\\$|CA\\$|C\\$|A\\$|\\$|£|€)';
+const CODE = `(${CODES.join('|')})`;
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)\\s*([kK])?';
+const DASH = '\\s*(?:-|–|—|to)\\s*';
+// Per-unit suffix on the first amount, as in LinkedIn's "$150K/yr - $180K/yr"
+const UNIT = '(?:\\s*\\/\\s*(?:hour|hr|day|week|wk|month|mo|year|yr))?';
+// Millions and billions after an amount ("raised $20M", "$1.5 billion") are funding, not pay
+const LARGE_UNIT = /^\s*(?:m|mm|mn|b|bn|million|billion)\b/i;
+
+// [code] [symbol] amount [k] [/unit] [- [code] [symbol] amount [k]] [code]
+const MONEY_RANGE = new RegExp(
+  `(?:${CODE}\\s*)?${SYMBOL}?\\s*${AMOUNT}${UNIT}(?:${DASH}(?:${CODE}\\s*)?${SYMBOL}?\\s*${AMOUNT})?(?:\\s*${CODE})?`,
+  'g'
+);
+
+// Words that give away the pay period, checked around the amount
+const PERIOD_PATTERNS = [
+  ['hour', /\b(?:hour|hourly|hr)\b/i],
+  ['day', /\b(?:day|daily)\b/i],
+  ['week', /\b(?:week|weekly|wk)\b/i],
+  ['month', /\b(?:month|monthly|mo)\b/i],
+  ['year', /\b(?:year|yearly|yr|annual|annually|annum|salary)\b/i],
+];
+
+// Lever salaryRange.interval values
+const LEVER_INTERVALS = {
+  'per-hour-wage': 'hour',
+  'per-day-wage': 'day',
+  'per-week-salary': 'week',
+  'per-month-salary': 'month',
+  'per-year-salary': 'year',
+};
+
+// Ashby compensation component intervals
+const ASHBY_INTERVALS = {
+  '1 HOUR': 'hour',
+  '1 DAY': 'day',
+  '1 WEEK': 'week',
+  '1 MONTH': 'month',
+  '1 YEAR': 'year',
+};
+
+// Multipliers to compare pay across periods
+const ANNUAL_FACTORS = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1,
+};
+
+const PERIOD_LABELS = {
+  hour: 'hr',
+  day: 'day',
+  week: 'wk',
+  month: 'mo',
+  year: 'yr',
+};
+
+/**
+ * Parse an amount like '120,000' or '120' with a 'k' suffix
+ * @param {string} amount - Digits
+ * @param {string} [suffix] - 'k' for thousands
+ * @returns {number} Amount
+ */
+function parseAmount(amount, suffix) {
+  const value = parseFloat(amount.replace(/,/g, ''));
+  return suffix ? value * 1000 : value;
+}
+
+/**
+ * Guess the pay period from surrounding text, or from the size of the amount.
+ * A lone small amount with no period word ("$50") isn't taken as hourly pay.
+ * @param {string} context - Text around the amount
+ * @param {number} amount - Largest amount
+ * @param {boolean} isRange - True if the amount is the top of a range
+ * @returns {string|null} Period, or null if it can't be told
+ */
+function detectPeriod(context, amount, isRange) {
+  for (const [period, pattern] of PERIOD_PATTERNS) {
+    if (pattern.test(context)) {
+      return period;
+    }
+  }
+  if (amount >= 1000) {
+    return 'year';
+  }
+  return isRange ? 'hour' : null;
+}
+
+/**
+ * Check a parsed range looks like pay rather than some other number
+ * @param {Object} comp - Compensation
+ * @returns {boolean} True if plausible
+ */
+function isPlausible({ min, max, period }) {
+  const annual = max * ANNUAL_FACTORS[period];
+  return min > 0 && min <= max && annual >= 10000 && annual <= 5000000;
+}
+
+/**
+ * Find the first salary range in free text
+ * (e.g. "$120K - $150K", "CA$100,000—CA$130,000 CAD", "$60/hr", "USD 150,000 to 180,000 per year")
+ * @param {string} text - Text to search
+ * @returns {Object|null} Compensation or null
+ */
+function parseCompensation(text) {
+  if (!text) {
+    return null;
+  }
+
+  for (const match of text.matchAll(MONEY_RANGE)) {
+    const [, code1, symbol1, amount1, k1, code2, symbol2, amount2, k2, code3] = match;
+    const code = code1 || code2 || code3;
+    const symbol = symbol1 || symbol2;
+
+    // Only amounts marked with a currency are salaries ("5-10 years" is not)
+    if (!code && !symbol) {
+      continue;
+    }
+
+    // "$120-150K": the suffix on the second amount applies to both
+    let min = parseAmount(amount1, k1 || (!amount2 ? null : k2));
+    const max = amount2 ? parseAmount(amount2, k2) : min;
+    if (amount2 && !k1 && k2 && min > max) {
+      min = parseAmount(amount1);
+    }
+
+    const end = match.index + match[0].length;
+    if (LARGE_UNIT.test(text.slice(end))) {
+      continue;
+    }
+    const context = text.slice(Math.max(0, match.index - 60), end + 30);
+
+    const comp = {
+      min,
+      max,
+      currency: code || SYMBOLS[symbol],
+      period: detectPeriod(context, max, !!amount2),
+    };
+
+    if (comp.period && isPlausible(comp)) {
+      return comp;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert Lever's salaryRange object
+ * @param {Object} salaryRange - { min, max, currency, interval }
+ * @returns {Object|null} Compensation or null
+ */
+function fromLeverSalaryRange(salaryRange) {
+  if (!salaryRange || (salaryRange.min == null && salaryRange.max == null)) {
+    return null;
+  }
+
+  return {
+    min: salaryRange.min ?? salaryRange.max,
+    max: salaryRange.max ?? salaryRange.min,
+    currency: salaryRange.currency || 'USD',
+    period: LEVER_INTERVALS[salaryRange.interval] || 'year',
+  };
+}
+
+/**
+ * Convert an Ashby posting's compensation object (first salary component)
+ * @param {Object} compensation - { summaryComponents, compensationTiers }
+ * @returns {Object|null} Compensation or null
+ */
+function fromAshbyCompensation(compensation) {
+  const components = compensation?.summaryComponents?.length
+    ? compensation.summaryComponents
+    : (compensation?.compensationTiers || []).flatMap(tier => tier.components || []);
+
+  const salary = components.find(component => component.compensationType === 'Salary'
+    && (component.minValue != null || component.maxValue != null));
+  if (!salary) {
+    return null;
+  }
+
+  return {
+    min: salary.minValue ?? salary.maxValue,
+    max: salary.maxValue ?? salary.minValue,
+    currency: salary.currencyCode || 'USD',
+    period: ASHBY_INTERVALS[salary.interval] || 'year',
+  };
+}
+
+/**
+ * Convert pay to a yearly amount for comparisons
+ * @param {number} amount - Amount
+ * @param {string} period - Pay period
+ * @returns {number} Yearly amount
+ */
+function toAnnual(amount, period) {
+  return amount * (ANNUAL_FACTORS[period] || 1);
+}
+
+/**
+ * Format a single amount (e.g. 150000 -> "150K", 62.5 -> "62.50")
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount) {
+  if (amount >= 1000) {
+    return `${Math.round(amount / 100) / 10}K`;
+  }
+  return Number.isInteger(amount) ? String(amount) : amount.toFixed(2);
+}
+
+/**
+ * Format compensation for display (e.g. "$120K–$150K USD/yr")
+ * @param {Object} comp - Compensation
+ * @returns {string|null} Formatted range or null
+ */
+function formatCompensation(comp) {
+  if (!comp) {
+    return null;
+  }
+
+  const symbol = ['USD', 'CAD', 'AUD'].includes(comp.currency) ? '$'
+    : comp.currency === 'GBP' ? '£'
+      : comp.currency === 'EUR' ? '€'
+        : '';
+  const min = `${symbol}${formatAmount(comp.min)}`;
+  const max = `${symbol}${formatAmount(comp.max)}`;
+  const range = comp.min === comp.max ? min : `${min}–${max}`;
+
+  return `${range} ${comp.currency}/${PERIOD_LABELS[comp.period] || comp.period}`;
+}
+
+module.exports = {
+  parseCompensation,
+  fromLeverSalaryRange,
+  fromAshbyCompensation,
+  toAnnual,
+  formatCompensation,
+};
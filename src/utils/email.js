@@ -0,0 +1,150 @@
+/**
+ * Alert Email Utilities
+ *
+ * Helpers shared by the alert email parsers (src/parsers) for reading
+ * job cards out of alert HTML
+ */
+
+const cheerio = require('cheerio');
+const { htmlToText } = require('./text');
+const { parseCompensation } = require('./compensation');
+const { parseLocations } = require('./location');
+
+// Button and footer links that aren't a job title
+const LINK_LABELS = /^(?:view job|view details|apply(?: now)?|easy apply|easily apply|see all jobs|view all jobs|see more jobs|save(?: job)?)$/i;
+// "Posted" insights on a card ("2 days ago", "Just posted", "3d")
+const POSTED_AGO = /\b(?:\d+\+?\s+(?:minute|hour|day|week|month)s?\s+ago|just (?:now|posted)|today)\b|^\d+[hd]\+?$/i;
+// "Easy Apply" (LinkedIn, Glassdoor) or "Easily apply" (Indeed)
+const EASY_APPLY = /\beas(?:y|ily) apply\b/i;
+// Saved search alert subjects ("12 new Sales Engineer jobs in Austin, TX")
+const SEARCH_SUBJECT = /^(?:\d+\+?\s+new\s+)?(.+?)\s+jobs?(?:\s+(?:in|near)\s+(.+))?$/i;
+// Lines before and after a card's title that can hold its details
+const CARD_LINES = 8;
+
+/**
+ * Get the sender address of an email
+ * @param {Object} email - Parsed email from mailparser
+ * @returns {string|null} Lowercase address or null
+ */
+function getSenderAddress(email) {
+  const address = email?.from?.value?.[0]?.address;
+  return address ? address.toLowerCase() : null;
+}
+
+/**
+ * Get the saved search an alert was sent for from its subject
+ * @param {string} subject - Email subject
+ * @returns {string|null} Search, e.g. "Sales Engineer in Austin, TX"
+ */
+function readSearchTerm(subject) {
+  const cleaned = (subject || '').replace(/^(?:Fw|Fwd|Re):\s*/i, '').trim();
+  const match = cleaned.match(SEARCH_SUBJECT);
+  if (!match) {
+    return null;
+  }
+  return match[2] ? `${match[1]} in ${match[2]}` : match[1];
+}
+
+/**
+ * Extract job cards from alert email HTML.
+ * Each job's card is the largest element around its links that doesn't link
+ * to another job; its title is the first job link with text that isn't a
+ * button label (the others are the logo and "Apply").
+ * @param {string} html - Email HTML content
+ * @param {Function} getJobId - Returns the job ID for a link URL, or null
+ * @returns {Array} [{ jobId, title, before, after }] with the card's lines of
+ *   text before and after the title (title is null if the card had none)
+ */
+function extractCards(html, getJobId) {
+  const $ = cheerio.load(html);
+  const links = new Map();
+
+  $('a[href]').each((_, element) => {
+    const jobId = getJobId($(element).attr('href'));
+    if (jobId) {
+      links.set(jobId, [...(links.get(jobId) || []), element]);
+    }
+  });
+
+  return [...links.entries()].map(([jobId, elements]) => {
+    let $card = $(elements[0]);
+    for (let $parent = $card.parent(); $parent.length > 0 && !$parent.is('body'); $parent = $parent.parent()) {
+      const otherJob = $parent.find('a[href]').toArray()
+        .some(element => (getJobId($(element).attr('href')) || jobId) !== jobId);
+      if (otherJob) {
+        break;
+      }
+      $card = $parent;
+    }
+
+    const title = elements
+      .map(element => $(element).text().replace(/\s+/g, ' ').trim())
+      .find(text => text && !LINK_LABELS.test(text)) || null;
+
+    // Links, paragraphs and cells each start a line
+    const cardHtml = $.html($card).replace(/<(?:a|p|div|td|li|h[1-6])\b/gi, '\n$&');
+    const lines = htmlToText(cardHtml).split('\n').map(line => line.trim()).filter(Boolean);
+    const titleIndex = title ? lines.findIndex(line => line.includes(title)) : -1;
+
+    return {
+      jobId,
+      title,
+      before: titleIndex > 0 ? lines.slice(Math.max(0, titleIndex - CARD_LINES), titleIndex) : [],
+      after: lines.slice(titleIndex + 1, titleIndex + 1 + CARD_LINES),
+    };
+  });
+}
+
+/**
+ * Read a card's details from the lines of text after its title.
+ * Cards list the company and location ("Company · Location" or one per line),
+ * then optional insights: salary, "Easy Apply", "2 days ago".
+ * @param {Array} lines - Lines after the title
+ * @param {Object} [known] - Details read elsewhere; with a company, the
+ *   first line is taken as the location
+ * @returns {Object} { company, location, salary, easyApply, postedAgo }
+ */
+function readCardLines(lines, known = {}) {
+  const card = { ...known };
+  const locationIndex = known.company ? 0 : 1;
+
+  lines.forEach((line, index) => {
+    if (!card.company) {
+      const parts = line.split(/\s+·\s+/);
+      if (parts.length > 1) {
+        [card.company, card.location] = [parts[0], parts.slice(1).join(', ')];
+        return;
+      }
+      if (index === 0) {
+        card.company = line;
+        return;
+      }
+    }
+    if (!card.location && index === locationIndex && parseLocations(line).length > 0) {
+      card.location = line;
+      return;
+    }
+    if (!card.salary && parseCompensation(line)) {
+      card.salary = line;
+      return;
+    }
+    if (EASY_APPLY.test(line)) {
+      card.easyApply = true;
+      return;
+    }
+    const posted = line.match(POSTED_AGO);
+    if (posted && !card.postedAgo) {
+      card.postedAgo = posted[0];
+    }
+  });
+
+  return card;
+}
+
+module.exports = {
+  CARD_LINES,
+  getSenderAddress,
+  readSearchTerm,
+  extractCards,
+  readCardLines,
+};
@@ -0,0 +1,301 @@
+/**
+ * Location normalization
+ *
+ * Parses free-text job locations ("San Francisco, CA; Remote - Canada")
+ * into structured { city, region, country, workplaceType } entries.
+ * Countries are ISO codes, regions are state/province codes,
+ * workplaceType is 'remote', 'hybrid', 'onsite' or null if unknown.
+ */
+
+// Country aliases by ISO code
+const COUNTRIES = {
+  US: ['united states', 'united states of america', 'usa', 'us', 'u.s.', 'u.s.a.', 'america'],
+  CA: ['canada'],
+  GB: ['united kingdom', 'uk', 'u.k.', 'england', 'great britain', 'scotland', 'wales'],
+  IE: ['ireland'],
+  DE: ['germany', 'deutschland'],
+  FR: ['france'],
+  NL: ['netherlands', 'the netherlands'],
+  ES: ['spain'],
+  PL: ['poland'],
+  IL: ['israel'],
+  IN: ['india'],
+  SG: ['singapore'],
+  JP: ['japan'],
+  AU: ['australia'],
+  BR: ['brazil'],
+  MX: ['mexico'],
+};
+
+const US_STATES = {
+  AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas', CA: 'california',
+  CO: 'colorado', CT: 'connecticut', DE: 'delaware', FL: 'florida', GA: 'georgia',
+  HI: 'hawaii', ID: 'idaho', IL: 'illinois', IN: 'indiana', IA: 'iowa',
+  KS: 'kansas', KY: 'kentucky', LA: 'louisiana', ME: 'maine', MD: 'maryland',
+  MA: 'massachusetts', MI: 'michigan', MN: 'minnesota', MS: 'mississippi', MO: 'missouri',
+  MT: 'montana', NE: 'nebraska', NV: 'nevada', NH: 'new hampshire', NJ: 'new jersey',
+  NM: 'new mexico', NY: 'new york', NC: 'north carolina', ND: 'north dakota', OH: 'ohio',
+  OK: 'oklahoma', OR: 'oregon', PA: 'pennsylvania', RI: 'rhode island', SC: 'south carolina',
+  SD: 'south dakota', TN: 'tennessee', TX: 'texas', UT: 'utah', VT: 'vermont',
+  VA: 'virginia', WA: 'washington', WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming',
+  DC: 'district of columbia',
+};
+
+const CA_PROVINCES = {
+  ON: 'ontario', BC: 'british columbia', QC: 'quebec', AB: 'alberta', MB: 'manitoba',
+  SK: 'saskatchewan', NS: 'nova scotia', NB: 'new brunswick', NL: 'newfoundland and labrador',
+  PE: 'prince edward island', YT: 'yukon', NT: 'northwest territories', NU: 'nunavut',
+};
+
+// Known cities: alias -> [city, region, country]
+const CITIES = {
+  // USA
+  'new york': ['New York', 'NY', 'US'],
+  'new york city': ['New York', 'NY', 'US'],
+  'nyc': ['New York', 'NY', 'US'],
+  'san francisco': ['San Francisco', 'CA', 'US'],
+  'sf': ['San Francisco', 'CA', 'US'],
+  'bay area': ['San Francisco', 'CA', 'US'],
+  'san francisco bay area': ['San Francisco', 'CA', 'US'],
+  'los angeles': ['Los Angeles', 'CA', 'US'],
+  'la': ['Los Angeles', 'CA', 'US'],
+  'seattle': ['Seattle', 'WA', 'US'],
+  'austin': ['Austin', 'TX', 'US'],
+  'boston': ['Boston', 'MA', 'US'],
+  'chicago': ['Chicago', 'IL', 'US'],
+  'denver': ['Denver', 'CO', 'US'],
+  'boulder': ['Boulder', 'CO', 'US'],
+  'miami': ['Miami', 'FL', 'US'],
+  'atlanta': ['Atlanta', 'GA', 'US'],
+  'washington': ['Washington', 'DC', 'US'],
+  'washington dc': ['Washington', 'DC', 'US'],
+  'washington d.c.': ['Washington', 'DC', 'US'],
+  'san diego': ['San Diego', 'CA', 'US'],
+  'portland': ['Portland', 'OR', 'US'],
+  'philadelphia': ['Philadelphia', 'PA', 'US'],
+  'dallas': ['Dallas', 'TX', 'US'],
+  'houston': ['Houston', 'TX', 'US'],
+  'phoenix': ['Phoenix', 'AZ', 'US'],
+  'minneapolis': ['Minneapolis', 'MN', 'US'],
+  'detroit': ['Detroit', 'MI', 'US'],
+  'pittsburgh': ['Pittsburgh', 'PA', 'US'],
+  'salt lake city': ['Salt Lake City', 'UT', 'US'],
+  'raleigh': ['Raleigh', 'NC', 'US'],
+  'nashville': ['Nashville', 'TN', 'US'],
+  'san jose': ['San Jose', 'CA', 'US'],
+  'palo alto': ['Palo Alto', 'CA', 'US'],
+  'mountain view': ['Mountain View', 'CA', 'US'],
+  'sunnyvale': ['Sunnyvale', 'CA', 'US'],
+  'menlo park': ['Menlo Park', 'CA', 'US'],
+  'redwood city': ['Redwood City', 'CA', 'US'],
+  'san mateo': ['San Mateo', 'CA', 'US'],
+  'santa clara': ['Santa Clara', 'CA', 'US'],
+  'oakland': ['Oakland', 'CA', 'US'],
+  // Canada
+  'toronto': ['Toronto', 'ON', 'CA'],
+  'vancouver': ['Vancouver', 'BC', 'CA'],
+  'montreal': ['Montreal', 'QC', 'CA'],
+  'montréal': ['Montreal', 'QC', 'CA'],
+  'ottawa': ['Ottawa', 'ON', 'CA'],
+  'calgary': ['Calgary', 'AB', 'CA'],
+  'edmonton': ['Edmonton', 'AB', 'CA'],
+  'waterloo': ['Waterloo', 'ON', 'CA'],
+  'kitchener': ['Kitchener', 'ON', 'CA'],
+  // International
+  'london': ['London', null, 'GB'],
+  'dublin': ['Dublin', null, 'IE'],
+  'berlin': ['Berlin', null, 'DE'],
+  'munich': ['Munich', null, 'DE'],
+  'paris': ['Paris', null, 'FR'],
+  'amsterdam': ['Amsterdam', null, 'NL'],
+  'madrid': ['Madrid', null, 'ES'],
+  'barcelona': ['Barcelona', null, 'ES'],
+  'warsaw': ['Warsaw', null, 'PL'],
+  'tel aviv': ['Tel Aviv', null, 'IL'],
+  'bangalore': ['Bengaluru', null, 'IN'],
+  'bengaluru': ['Bengaluru', null, 'IN'],
+  'tokyo': ['Tokyo', null, 'JP'],
+  'sydney': ['Sydney', null, 'AU'],
+  'melbourne': ['Melbourne', null, 'AU'],
+  'sao paulo': ['São Paulo', null, 'BR'],
+  'são paulo': ['São Paulo', null, 'BR'],
+  'mexico city': ['Mexico City', null, 'MX'],
+};
+
+// Areas wider than a country, which aren't cities either
+const BROAD_AREAS = [
+  'europe', 'emea', 'apac', 'asia', 'latam', 'latin america', 'north america', 'americas',
+  'worldwide', 'global', 'international',
+];
+
+// Country alias -> ISO code
+const COUNTRY_ALIASES = Object.entries(COUNTRIES).reduce((aliases, [code, names]) => {
+  names.forEach(name => { aliases[name] = code; });
+  return aliases;
+}, {});
+
+const WORKPLACE_PATTERNS = [
+  ['hybrid', /\bhybrid\b/i],
+  ['remote', /\b(?:remote|anywhere|distributed|work from home|wfh|virtual)\b/i],
+  ['onsite', /\b(?:on-?site|in[- ]office|in[- ]person)\b/i],
+];
+
+// Lever workplaceType and similar source values
+const WORKPLACE_HINTS = {
+  'remote': 'remote',
+  'hybrid': 'hybrid',
+  'onsite': 'onsite',
+  'on-site': 'onsite',
+  'in-office': 'onsite',
+};
+
+/**
+ * Detect the workplace type mentioned in text
+ * @param {string} text - Location text
+ * @returns {string|null} Workplace type or null
+ */
+function detectWorkplaceType(text) {
+  const found = WORKPLACE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return found ? found[0] : null;
+}
+
+/**
+ * Parse one location (e.g. "Toronto, ON, Canada" or "Remote - US")
+ * @param {string} text - Single location
+ * @returns {Object|null} { city, region, country, workplaceType } or null if nothing recognized
+ */
+function parseLocation(text) {
+  const workplaceType = detectWorkplaceType(text);
+
+  // Drop workplace words, leaving the place parts
+  const parts = text
+    .replace(/\b(?:remote|hybrid|anywhere|distributed|work from home|wfh|virtual|on-?site|in[- ]office|in[- ]person|office)\b/gi, ' ')
+    .split(/\s[-–—]\s|[,()/:]|\s-|-\s|\bin\b/)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  let city = null;
+  let region = null;
+  let country = null;
+  // Regions from the city list give way to an explicit one ("Portland, ME")
+  let regionGuessed = false;
+
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    const isCode = /^[A-Z]{2}$/.test(part);
+
+    // Two-letter city aliases ("LA", "SF") only count as the first part
+    if (!city && CITIES[lower] && (!isCode || part === parts[0])) {
+      [city, region, country] = CITIES[lower];
+      regionGuessed = !!region;
+      continue;
+    }
+
+    const stateCode = isCode && US_STATES[part] ? part
+      : Object.keys(US_STATES).find(code => US_STATES[code] === lower);
+    const provinceCode = isCode && CA_PROVINCES[part] ? part
+      : Object.keys(CA_PROVINCES).find(code => CA_PROVINCES[code] === lower);
+
+    // "CA" after a Canadian city or province is the country, otherwise California
+    if (part === 'CA' && country === 'CA') {
+      continue;
+    }
+
+    if (stateCode && (!region || regionGuessed)) {
+      region = stateCode;
+      country = 'US';
+      regionGuessed = false;
+      continue;
+    }
+
+    if (provinceCode && (!region || regionGuessed)) {
+      region = provinceCode;
+      country = 'CA';
+      regionGuessed = false;
+      continue;
+    }
+
+    if (COUNTRY_ALIASES[lower]) {
+      country = COUNTRY_ALIASES[lower];
+      continue;
+    }
+
+    // Unknown first part is most likely a city we don't have listed
+    if (!city && part === parts[0] && /[a-z]/i.test(part) && !BROAD_AREAS.includes(lower)) {
+      city = part;
+    }
+  }
+
+  if (!city && !region && !country && !workplaceType) {
+    return null;
+  }
+
+  return {
+    city,
+    region,
+    country,
+    workplaceType: workplaceType || (city ? 'onsite' : null),
+  };
+}
+
+/**
+ * Parse a location string that may list several places
+ * ("San Francisco, CA; New York, NY", "SF / NYC / Remote")
+ * @param {string|Array} text - Location text, or several location strings
+ * @param {Object} [hints] - Structured data from the source
+ * @param {string} [hints.workplaceType] - Source workplace type (e.g. Lever's 'remote')
+ * @param {string} [hints.country] - Source country code for places without one (e.g. SmartRecruiters' 'us')
+ * @returns {Array} Array of { city, region, country, workplaceType }
+ */
+function parseLocations(text, hints = {}) {
+  const texts = (Array.isArray(text) ? text : [text]).filter(Boolean);
+  const hintType = WORKPLACE_HINTS[(hints.workplaceType || '').toLowerCase()] || null;
+  const hintCountry = hints.country ? hints.country.toUpperCase() : null;
+
+  const locations = texts
+    .flatMap(t => t.replace(/\b[a-z]{2,}-remote\b|\bremote-[a-z]{2,}\b/gi, m => m.replace('-', ' ')).split(/;|\s\/\s|\||•|\n|\s+or\s+|\s+&\s+/i))
+    .map(part => part.trim())
+    .filter(part => part && part.toLowerCase() !== 'not specified')
+    .map(parseLocation)
+    .filter(Boolean);
+
+  if (hintType) {
+    locations.forEach(loc => { loc.workplaceType = hintType; });
+  }
+  if (hintCountry) {
+    locations.forEach(loc => { loc.country = loc.country || hintCountry; });
+  }
+  if (locations.length === 0 && (hintType || hintCountry)) {
+    locations.push({ city: null, region: null, country: hintCountry, workplaceType: hintType });
+  }
+
+  // Drop duplicates (e.g. the same office listed twice)
+  const seen = new Set();
+  return locations.filter(loc => {
+    const key = `${loc.city}|${loc.region}|${loc.country}|${loc.workplaceType}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Describe a structured location (e.g. "Toronto, ON, CA (hybrid)")
+ * @param {Object} loc - Structured location
+ * @returns {string} Description
+ */
+function describeLocation(loc) {
+  const place = [loc.city, loc.region, loc.country].filter(Boolean).join(', ');
+  if (!loc.workplaceType) {
+    return place;
+  }
+  return place ? `${place} (${loc.workplaceType})` : loc.workplaceType;
+}
+
+module.exports = {
+  parseLocations,
+  parseLocation,
+  describeLocation,
+};
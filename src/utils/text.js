@@ -0,0 +1,49 @@
+/**
+ * Text helpers for job descriptions
+ */
+
+const cheerio = require('cheerio');
+
+/**
+ * Convert HTML to plain text, keeping paragraph and list breaks
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  const $ = cheerio.load(html);
+  $('br').replaceWith('\n');
+  $('p, div, li, h1, h2, h3, h4, h5, h6, tr').each((_, element) => {
+    $(element).append('\n');
+  });
+  $('li').each((_, element) => {
+    $(element).prepend('- ');
+  });
+
+  return $.root()
+    .text()
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Decode HTML entities (e.g. Greenhouse's escaped job content)
+ * @param {string} text - Entity-encoded text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  if (!text) {
+    return '';
+  }
+  return cheerio.load(text).root().text();
+}
+
+module.exports = {
+  htmlToText,
+  decodeEntities,
+};
@@ -0,0 +1,79 @@
+/**
+ * Cross-source duplicate detection tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isSameJob, clusterJobs, locationsOverlap } = require('../src/services/cluster');
+
+/**
+ * Build a job with defaults
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Job object
+ */
+function job(fields) {
+  return { company: 'Stripe', title: 'Solutions Engineer', location: 'Not specified', ...fields };
+}
+
+const newYork = job({
+  id: 'greenhouse-stripe-1',
+  source: 'Greenhouse',
+  board: 'greenhouse:stripe',
+  title: 'Solutions Engineer - New York',
+  location: 'New York, NY',
+  url: 'https://boards.greenhouse.io/stripe/jobs/1',
+});
+
+const chicago = job({
+  id: 'greenhouse-stripe-2',
+  source: 'Greenhouse',
+  board: 'greenhouse:stripe',
+  title: 'Solutions Engineer - Chicago',
+  location: 'Chicago, IL',
+  url: 'https://boards.greenhouse.io/stripe/jobs/2',
+});
+
+test('openings on the same board with different IDs are separate', () => {
+  assert.strictEqual(isSameJob(newYork, chicago), false);
+  assert.strictEqual(isSameJob(newYork, { ...chicago, title: newYork.title, location: newYork.location }), false);
+  assert.strictEqual(clusterJobs([newYork, chicago]).length, 2);
+});
+
+test('postings from the same source with different IDs are separate', () => {
+  const a = job({ id: 'linkedin-1', source: 'LinkedIn', location: 'New York, NY', url: 'https://www.linkedin.com/jobs/view/1' });
+  const b = job({ id: 'linkedin-2', source: 'LinkedIn', location: 'New York, NY', url: 'https://www.linkedin.com/jobs/view/2' });
+  assert.strictEqual(isSameJob(a, b), false);
+});
+
+test('the same role from another source in the same city is a duplicate', () => {
+  const linkedin = job({ id: 'linkedin-9', source: 'LinkedIn', location: 'New York, NY (Hybrid)', url: 'https://www.linkedin.com/jobs/view/9' });
+  assert.strictEqual(isSameJob(newYork, linkedin), true);
+
+  const clusters = clusterJobs([newYork, chicago, linkedin]);
+  assert.strictEqual(clusters.length, 2);
+  assert.deepStrictEqual(clusters.map(canonical => canonical.duplicates.length).sort(), [0, 1]);
+});
+
+test('the same role from another source in another city is not a duplicate', () => {
+  const linkedin = job({ id: 'linkedin-9', source: 'LinkedIn', location: 'Chicago, IL', url: 'https://www.linkedin.com/jobs/view/9' });
+  assert.strictEqual(isSameJob(newYork, linkedin), false);
+});
+
+test('matching canonical URLs are duplicates', () => {
+  const alert = job({ id: 'email-1', source: 'Email', title: 'Something Else', url: 'https://boards.greenhouse.io/stripe/jobs/1?gh_src=alert' });
+  assert.strictEqual(isSameJob(newYork, alert), true);
+});
+
+test('locations overlap by country when either side has no city or region', () => {
+  assert.strictEqual(locationsOverlap({ location: 'New York, NY' }, { location: 'United States' }), true);
+  assert.strictEqual(locationsOverlap({ location: 'New York, NY' }, { location: 'Remote - US' }), true);
+  assert.strictEqual(locationsOverlap({ location: 'New York, NY' }, { location: 'Not specified' }), true);
+  assert.strictEqual(locationsOverlap({ location: 'New York, NY' }, { location: 'London, UK' }), false);
+});
+
+test('locations overlap when any listed city is shared', () => {
+  assert.strictEqual(locationsOverlap({ location: 'NYC' }, { location: 'New York, NY' }), true);
+  assert.strictEqual(locationsOverlap({ location: 'San Francisco, CA; Chicago, IL' }, { location: 'Chicago' }), true);
+  assert.strictEqual(locationsOverlap({ location: 'San Francisco, CA' }, { location: 'Chicago, IL' }), false);
+  assert.strictEqual(locationsOverlap({ location: 'NY' }, { location: 'New York, NY' }), true);
+});
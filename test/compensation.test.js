@@ -0,0 +1,45 @@
+/**
+ * Compensation parsing tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCompensation } = require('../src/utils/compensation');
+
+test('reads salary ranges in common formats', () => {
+  assert.deepStrictEqual(parseCompensation('$120K - $150K'), { min: 120000, max: 150000, currency: 'USD', period: 'year' });
+  assert.deepStrictEqual(parseCompensation('$120-150K'), { min: 120000, max: 150000, currency: 'USD', period: 'year' });
+  assert.deepStrictEqual(parseCompensation('$150K/yr - $180K/yr'), { min: 150000, max: 180000, currency: 'USD', period: 'year' });
+  assert.deepStrictEqual(parseCompensation('CA$100,000—CA$130,000 CAD'), { min: 100000, max: 130000, currency: 'CAD', period: 'year' });
+  assert.deepStrictEqual(parseCompensation('USD 150,000 to 180,000 per year'), { min: 150000, max: 180000, currency: 'USD', period: 'year' });
+  assert.deepStrictEqual(parseCompensation('Pay: $5,000/month'), { min: 5000, max: 5000, currency: 'USD', period: 'month' });
+});
+
+test('reads hourly pay from a period word or a range', () => {
+  assert.deepStrictEqual(parseCompensation('$60/hr'), { min: 60, max: 60, currency: 'USD', period: 'hour' });
+  assert.deepStrictEqual(parseCompensation('$35 per hour'), { min: 35, max: 35, currency: 'USD', period: 'hour' });
+  assert.deepStrictEqual(parseCompensation('$45 - $60'), { min: 45, max: 60, currency: 'USD', period: 'hour' });
+  assert.strictEqual(parseCompensation('Pay: $50'), null);
+});
+
+test('funding amounts are not pay', () => {
+  assert.strictEqual(parseCompensation('We raised $50 million'), null);
+  assert.strictEqual(parseCompensation('Acme | Solutions Engineer | SF | Series A, raised $20M | https://acme.com/jobs'), null);
+  assert.strictEqual(parseCompensation('Valued at $1.5B'), null);
+});
+
+test('funding before the salary range does not hide it', () => {
+  assert.deepStrictEqual(
+    parseCompensation('Backed by $100M from top investors. The salary range is $150,000 - $180,000.'),
+    { min: 150000, max: 180000, currency: 'USD', period: 'year' }
+  );
+  assert.deepStrictEqual(
+    parseCompensation('Series B ($40M raised). Base pay $140k - $170k.'),
+    { min: 140000, max: 170000, currency: 'USD', period: 'year' }
+  );
+});
+
+test('amounts without a currency are ignored', () => {
+  assert.strictEqual(parseCompensation('5-10 years of experience'), null);
+  assert.strictEqual(parseCompensation(null), null);
+});
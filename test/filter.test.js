@@ -0,0 +1,101 @@
+/**
+ * Filter engine tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluate, filterJobs, matchAny, matchLocations, matchesText } = require('../src/services/filter');
+
+test('keywords match whole words only', () => {
+  assert.strictEqual(matchesText('Chair', ['ai']), false);
+  assert.strictEqual(matchesText('Maintenance Technician', ['ai']), false);
+  assert.strictEqual(matchesText('AI Solutions Engineer', ['ai']), true);
+  assert.strictEqual(matchesText('Applied AI/ML Engineer', ['ai']), true);
+  assert.strictEqual(matchesText('Sales  Engineer', ['sales engineer']), true);
+  assert.strictEqual(matchesText('Presales Engineer', ['sales engineer']), false);
+});
+
+test('globs match within a word', () => {
+  assert.strictEqual(matchesText('Engineering Manager', ['engineer*']), true);
+  assert.strictEqual(matchesText('Reengineering Lead', ['engineer*']), false);
+  assert.strictEqual(matchesText('Pre-sales Consultant', ['pre?sales']), true);
+  assert.strictEqual(matchesText('Presales Consultant', ['pre?sales']), false);
+  // * doesn't cross words
+  assert.strictEqual(matchesText('Sales Development Engineer', ['sales*engineer']), false);
+});
+
+test('regex rules use their own flags, ignoring g', () => {
+  assert.strictEqual(matchesText('Sr. Engineer', ['/\\bsr\\.? engineer/']), true);
+  assert.strictEqual(matchesText('SR ENGINEER', ['/sr engineer/']), true);
+  assert.strictEqual(matchesText('SR ENGINEER', ['/sr engineer/m']), false);
+  assert.strictEqual(matchesText('Staff Engineer', [/staff/i]), true);
+
+  // A stateful /g regex would fail every other test
+  const rules = ['/staff/g'];
+  assert.strictEqual(matchesText('Staff Engineer', rules), true);
+  assert.strictEqual(matchesText('Staff Engineer', rules), true);
+});
+
+test('an invalid regex rule throws a clear error', () => {
+  assert.throws(() => matchesText('Engineer', ['/[/']), /Filter: Invalid regex rule \/\[\//);
+});
+
+test('groups combine rules and choose fields', () => {
+  const job = { title: 'Solutions Engineer', description: 'Own demos for our AI platform' };
+
+  assert.strictEqual(matchAny(job, [{ all: ['solutions', 'engineer'] }], ['title']), 'all(solutions, engineer)');
+  assert.strictEqual(matchAny(job, [{ all: ['solutions', 'manager'] }], ['title']), null);
+  assert.strictEqual(matchAny(job, [{ any: ['manager', 'engineer'] }], ['title']), 'engineer');
+  assert.strictEqual(matchAny(job, [{ not: 'manager' }], ['title']), 'not(manager)');
+  assert.strictEqual(matchAny(job, [{ not: { any: ['manager', 'engineer'] } }], ['title']), null);
+
+  // Description rules only match when the group asks for it
+  assert.strictEqual(matchAny(job, ['platform'], ['title']), null);
+  assert.strictEqual(matchAny(job, [{ all: ['engineer', 'ai'] }], ['title']), null);
+  assert.strictEqual(matchAny(job, [{ all: ['engineer', { any: ['ai'], in: ['description'] }] }], ['title']), 'all(engineer, ai)');
+  assert.strictEqual(matchAny(job, [{ all: ['engineer', 'ai'], in: ['title', 'description'] }], ['title']), 'all(engineer, ai)');
+});
+
+test('unknown rules throw', () => {
+  assert.throws(() => matchAny({ title: 'Engineer' }, [{ some: ['engineer'] }], ['title']), /Filter: Unknown rule/);
+});
+
+test('location keywords "la" and "sf" match whole words', () => {
+  const rules = ['sf', 'la'];
+
+  assert.strictEqual(matchAny({ location: 'SF / NYC' }, rules, ['location']), 'sf');
+  assert.strictEqual(matchAny({ location: 'LA' }, rules, ['location']), 'la');
+  assert.strictEqual(matchAny({ location: 'Atlanta, GA' }, rules, ['location']), null);
+  assert.strictEqual(matchAny({ location: 'Las Vegas, NV' }, rules, ['location']), null);
+});
+
+test('structured location rules read the "la" and "sf" aliases', () => {
+  const rules = { countries: ['US'] };
+
+  assert.strictEqual(matchLocations({ location: 'SF' }, rules), 'San Francisco, CA, US (onsite)');
+  assert.strictEqual(matchLocations({ location: 'LA' }, rules), 'Los Angeles, CA, US (onsite)');
+  assert.strictEqual(matchLocations({ location: 'Toronto, ON' }, rules), null);
+});
+
+test('evaluate reports the matching rules', () => {
+  const filters = {
+    roles: { sales: ['account executive'], engineering: ['solutions engineer', 'sales eng*'] },
+    locations: { countries: ['US'] },
+    exclude: ['intern'],
+  };
+
+  assert.deepStrictEqual(
+    evaluate({ title: 'Senior Solutions Engineer', location: 'New York, NY' }, filters),
+    {
+      included: true,
+      match: { role: 'engineering: solutions engineer', location: 'New York, NY, US (onsite)' },
+      excludedBy: null,
+      belowMinSalary: false,
+    }
+  );
+  assert.strictEqual(evaluate({ title: 'Solutions Engineer Intern', location: 'Austin, TX' }, filters).excludedBy, 'intern');
+  assert.strictEqual(evaluate({ title: 'Solutions Engineer', location: 'London, UK' }, filters).included, false);
+
+  const [kept] = filterJobs([{ title: 'Sales Engineering Lead', location: 'Remote - US' }], { filters });
+  assert.strictEqual(kept.filterMatch.role, 'engineering: sales eng*');
+});
@@ -0,0 +1,175 @@
+/**
+ * Alert mail drop tests
+ *
+ * Dropped files and webhook posts are read from a temporary directory.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const maildrop = require('../src/services/maildrop');
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'maildrop-'));
+config.email.import.directory = DIR;
+
+after(() => fs.rmSync(DIR, { recursive: true, force: true }));
+
+/**
+ * Build a raw email
+ * @param {string} from - Sender address
+ * @param {string} subject - Subject
+ * @param {string} [body] - Body text
+ * @returns {string} Raw email
+ */
+function email(from, subject, body = 'Hello') {
+  return `From: ${from}\nSubject: ${subject}\n\n${body}\n`;
+}
+
+/**
+ * List the files in a folder of the drop directory
+ * @param {string} folder - 'processed' or 'failed'
+ * @returns {Array} File names
+ */
+function listFolder(folder) {
+  const dir = path.join(DIR, folder);
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+test('splitMbox splits on "From " lines after a blank line', () => {
+  const mbox = [
+    'From alerts@example.com Mon Jan  1 00:00:00 2024',
+    'Subject: First',
+    '',
+    'Hello,',
+    'From the team: new jobs',
+    '',
+    'From alerts@example.com Tue Jan  2 00:00:00 2024',
+    'Subject: Second',
+    '',
+    'Body',
+  ].join('\n');
+
+  const messages = maildrop.splitMbox(Buffer.from(mbox)).map(message => message.toString());
+  assert.deepStrictEqual(messages, [
+    'Subject: First\n\nHello,\nFrom the team: new jobs',
+    'Subject: Second\n\nBody',
+  ]);
+});
+
+test('splitMbox unescapes mboxrd ">From " lines', () => {
+  const mbox = [
+    'From alerts@example.com Mon Jan  1 00:00:00 2024',
+    'Subject: Quoted',
+    '',
+    '>From here',
+    '>>From deeper',
+    '> From is kept',
+  ].join('\r\n');
+
+  const [message] = maildrop.splitMbox(Buffer.from(mbox));
+  assert.strictEqual(message.toString(), 'Subject: Quoted\n\nFrom here\n>From deeper\n> From is kept');
+});
+
+test('processNew sorts files by whether any email was handled', async () => {
+  fs.writeFileSync(path.join(DIR, 'known.eml'), email('alerts@known.com', 'Jobs'));
+  fs.writeFileSync(path.join(DIR, 'unknown.eml'), email('someone@else.com', 'Hi'));
+  fs.writeFileSync(path.join(DIR, 'mixed.mbox'), [
+    'From someone@else.com Mon Jan  1 00:00:00 2024',
+    email('someone@else.com', 'Hi'),
+    'From alerts@known.com Mon Jan  1 00:00:00 2024',
+    email('alerts@known.com', 'More jobs'),
+  ].join('\n'));
+
+  const isKnown = message => message.from.value[0].address === 'alerts@known.com';
+  const results = await maildrop.processNew(
+    message => (isKnown(message) ? [message.subject] : []),
+    isKnown
+  );
+
+  assert.deepStrictEqual(results.sort(), ['Jobs', 'More jobs']);
+  assert.deepStrictEqual(listFolder('processed'), ['known.eml', 'mixed.mbox']);
+  assert.deepStrictEqual(listFolder('failed'), ['unknown.eml']);
+});
+
+test('processNew moves files whose emails all throw to failed/', async () => {
+  fs.writeFileSync(path.join(DIR, 'broken.eml'), email('alerts@known.com', 'Jobs'));
+
+  await maildrop.processNew(() => {
+    throw new Error('parser failed');
+  });
+
+  assert.ok(listFolder('failed').includes('broken.eml'));
+});
+
+test('processNew keeps earlier files with the same name', async () => {
+  fs.writeFileSync(path.join(DIR, 'known.eml'), email('alerts@known.com', 'Again'));
+
+  await maildrop.processNew(() => []);
+
+  assert.deepStrictEqual(listFolder('processed'), ['known-1.eml', 'known.eml', 'mixed.mbox']);
+  assert.match(fs.readFileSync(path.join(DIR, 'processed', 'known-1.eml'), 'utf8'), /Again/);
+});
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Send a request to the webhook
+ * @param {Object} options - { method, path, headers, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+function send({ method = 'POST', path: requestPath = config.email.import.webhook.path, headers = {}, body = '' }) {
+  const { host, port } = config.email.import.webhook;
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host, port, method, path: requestPath, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('webhook answers with the right status codes', async () => {
+  config.email.import.webhook.port = await freePort();
+  config.email.import.webhook.token = 'secret';
+  maildrop.watch(async () => true);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const auth = { Authorization: 'Bearer secret' };
+  try {
+    assert.strictEqual((await send({ path: '/other', headers: auth })).status, 404);
+    assert.strictEqual((await send({ path: '//', headers: auth })).status, 400);
+    assert.strictEqual((await send({ method: 'GET', headers: auth })).status, 405);
+    assert.strictEqual((await send({ headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.strictEqual((await send({ headers: auth })).status, 400);
+    assert.strictEqual((await send({ headers: { ...auth, 'Content-Type': 'application/json' }, body: '{"raw":' })).status, 400);
+    assert.strictEqual((await send({ headers: { ...auth, 'Content-Type': 'application/json' }, body: '{}' })).status, 400);
+
+    const saved = await send({ headers: { ...auth, 'Content-Type': 'message/rfc822' }, body: email('alerts@known.com', 'Posted') });
+    assert.strictEqual(saved.status, 202);
+    assert.match(saved.body.file, /\.eml$/);
+    assert.match(fs.readFileSync(path.join(DIR, saved.body.file), 'utf8'), /Subject: Posted/);
+
+    const mbox = await send({ headers: { ...auth, 'Content-Type': 'application/mbox' }, body: 'From x\nSubject: Box\n\nBody' });
+    assert.match(mbox.body.file, /\.mbox$/);
+  } finally {
+    await maildrop.close();
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Alert email parser tests
+ *
+ * Every .eml in fixtures/<parser> is parsed through the parser registry and
+ * compared with the .json of the same name. To cover a new alert layout,
+ * save the email there (with personal details removed) next to the jobs it
+ * should produce.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const parsers = require('../src/parsers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Job fields checked against the fixtures
+const FIELDS = ['id', 'title', 'company', 'location', 'salary', 'compensation', 'equity', 'easyApply', 'postedAgo', 'url', 'searchTerm', 'source'];
+
+for (const parser of fs.readdirSync(FIXTURES_DIR)) {
+  const dir = path.join(FIXTURES_DIR, parser);
+  const fixtures = fs.readdirSync(dir).filter(file => file.endsWith('.eml'));
+
+  for (const file of fixtures) {
+    test(`${parser}: parses ${file}`, async () => {
+      const email = await simpleParser(fs.readFileSync(path.join(dir, file)));
+      const expected = JSON.parse(fs.readFileSync(path.join(dir, file.replace(/\.eml$/, '.json')), 'utf8'));
+
+      assert.strictEqual(parsers.findForEmail(email)?.name, parser);
+
+      // Fields a parser doesn't set are left out
+      const jobs = parsers.parseEmail(email).map(job => Object.fromEntries(
+        FIELDS.filter(field => job[field] !== undefined).map(field => [field, job[field]])
+      ));
+
+      assert.deepStrictEqual(jobs, expected);
+    });
+  }
+}
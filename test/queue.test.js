@@ -0,0 +1,70 @@
+/**
+ * Outbound post queue tests
+ *
+ * The queue saves to data/queue.json, so any existing queue is put back
+ * after the tests.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const queue = require('../src/services/queue');
+
+const QUEUE_PATH = path.join(__dirname, '../data/queue.json');
+let saved = null;
+
+before(() => {
+  saved = fs.existsSync(QUEUE_PATH) ? fs.readFileSync(QUEUE_PATH) : null;
+});
+
+after(() => {
+  if (saved) {
+    fs.writeFileSync(QUEUE_PATH, saved);
+  } else {
+    fs.rmSync(QUEUE_PATH, { force: true });
+  }
+});
+
+/**
+ * Fail a job until the queue drops it
+ * @param {string} jobId - Job identifier
+ * @returns {Object|null} What the last recordFailure returned
+ */
+function failUntilDropped(jobId) {
+  let dropped = null;
+  for (let attempt = 0; attempt < config.queue.maxAttempts; attempt++) {
+    assert.strictEqual(dropped, null);
+    dropped = queue.recordFailure(jobId, new Error('Missing Access'));
+  }
+  return dropped;
+}
+
+test('a job leaves the queue once posted to all of its channels', () => {
+  queue.enqueue([{ job: { id: 'job-1' }, channels: ['a', 'b'] }]);
+
+  assert.strictEqual(queue.markPosted('job-1', 'a'), false);
+  assert.strictEqual(queue.has('job-1'), true);
+  assert.strictEqual(queue.markPosted('job-1', 'b'), true);
+  assert.strictEqual(queue.has('job-1'), false);
+});
+
+test('a job dropped after reaching some channels reports them', () => {
+  queue.enqueue([{ job: { id: 'job-2' }, channels: ['a', 'b'] }]);
+  queue.markPosted('job-2', 'a');
+
+  const dropped = failUntilDropped('job-2');
+  assert.strictEqual(queue.has('job-2'), false);
+  assert.deepStrictEqual(dropped.posted, ['a']);
+  assert.deepStrictEqual(dropped.channels, ['b']);
+  assert.strictEqual(dropped.job.id, 'job-2');
+});
+
+test('a job dropped before reaching any channel has nothing posted', () => {
+  queue.enqueue([{ job: { id: 'job-3' }, channels: ['a'] }]);
+
+  const dropped = failUntilDropped('job-3');
+  assert.deepStrictEqual(dropped.posted, []);
+  assert.strictEqual(queue.size(), 0);
+});